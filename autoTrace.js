@@ -0,0 +1,130 @@
+// Auto-trace: track-surface segmentation from a seed point, morphological cleanup and contour following.
+// Pure functions over ImageData-like { data, width, height }; the app draws the image and applies the result.
+
+// ---------- Pixel helpers ----------
+function boxBlurRGB(data, w, h){ // 3x3 mean, returns Float32Array of r,g,b triples
+  const out = new Float32Array(w*h*3);
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+    let r=0,g=0,b=0,c=0;
+    for(let ky=-1;ky<=1;ky++) for(let kx=-1;kx<=1;kx++){ const xx=x+kx, yy=y+ky; if(xx<0||yy<0||xx>=w||yy>=h) continue; const i=(yy*w+xx)*4; r+=data[i]; g+=data[i+1]; b+=data[i+2]; c++; }
+    const o=(y*w+x)*3; out[o]=r/c; out[o+1]=g/c; out[o+2]=b/c;
+  }
+  return out;
+}
+
+function seedStats(rgb, w, h, seed, radius=3){ // mean colour and spread of the patch around the seed
+  let n=0; const mean=[0,0,0]; const px=[];
+  for(let y=seed.y-radius;y<=seed.y+radius;y++) for(let x=seed.x-radius;x<=seed.x+radius;x++){ if(x<0||y<0||x>=w||y>=h) continue; const o=(y*w+x)*3; px.push([rgb[o],rgb[o+1],rgb[o+2]]); mean[0]+=rgb[o]; mean[1]+=rgb[o+1]; mean[2]+=rgb[o+2]; n++; }
+  mean[0]/=n; mean[1]/=n; mean[2]/=n;
+  const spread = Math.sqrt(px.reduce((s,p)=> s + (p[0]-mean[0])**2 + (p[1]-mean[1])**2 + (p[2]-mean[2])**2, 0)/n);
+  return { mean, spread };
+}
+
+// 4-connected flood fill over pixels where accept(i) holds; returns the pixel count, marks mask[i] = label
+function floodFill(mask, w, h, start, label, accept){
+  const stack = [start]; mask[start] = label; let count = 0;
+  while(stack.length){
+    const i = stack.pop(); count++; const x = i%w, y = (i/w)|0;
+    if(x>0 && !mask[i-1] && accept(i-1)){ mask[i-1]=label; stack.push(i-1); }
+    if(x<w-1 && !mask[i+1] && accept(i+1)){ mask[i+1]=label; stack.push(i+1); }
+    if(y>0 && !mask[i-w] && accept(i-w)){ mask[i-w]=label; stack.push(i-w); }
+    if(y<h-1 && !mask[i+w] && accept(i+w)){ mask[i+w]=label; stack.push(i+w); }
+  }
+  return count;
+}
+
+// ---------- Morphology (square structuring element, separable) ----------
+function morph(mask, w, h, r, dilate){
+  const tmp = new Uint8Array(w*h), out = new Uint8Array(w*h);
+  const hit = v => dilate ? v===1 : v===0;
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){ let any=false; for(let k=-r;k<=r && !any;k++){ const xx=x+k; if(xx>=0 && xx<w && hit(mask[y*w+xx])) any=true; } tmp[y*w+x] = dilate ? (any?1:0) : (any?0:1); }
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){ let any=false; for(let k=-r;k<=r && !any;k++){ const yy=y+k; if(yy>=0 && yy<h && hit(tmp[yy*w+x])) any=true; } out[y*w+x] = dilate ? (any?1:0) : (any?0:1); }
+  return out;
+}
+export function closeMask(mask, w, h, r){ return morph(morph(mask,w,h,r,true),w,h,r,false); }
+export function openMask(mask, w, h, r){ return morph(morph(mask,w,h,r,false),w,h,r,true); }
+
+// ---------- Contour following ----------
+const DIRS = [[1,0],[1,1],[0,1],[-1,1],[-1,0],[-1,-1],[0,-1],[1,-1]]; // clockwise on screen
+
+// Moore-neighbour tracing of the outer boundary of the set pixels; returns an ordered closed polyline
+export function traceContour(mask, w, h){
+  let start = -1; for(let i=0;i<w*h;i++) if(mask[i]){ start=i; break; }
+  if(start<0) return [];
+  const on = (x,y) => x>=0 && y>=0 && x<w && y<h && mask[y*w+x]===1;
+  const sx = start%w, sy = (start/w)|0; const out = [{x:sx, y:sy}];
+  let cx=sx, cy=sy, back=4; // entered from the west, which is background in raster order
+  let first = null;
+  for(let steps=0; steps<4*w*h; steps++){
+    let moved = false;
+    for(let k=1;k<=8;k++){
+      const d = (back+k)%8, nx = cx+DIRS[d][0], ny = cy+DIRS[d][1];
+      if(!on(nx,ny)) continue;
+      if(cx===sx && cy===sy && first && nx===first.x && ny===first.y) return out; // back at start, about to repeat
+      if(!first) first = {x:nx, y:ny};
+      back = d%2===0 ? (d+6)%8 : (d+5)%8; // background neighbour preceding the new pixel
+      cx=nx; cy=ny; moved = true;
+      if(!(cx===sx && cy===sy)) out.push({x:cx, y:cy});
+      break;
+    }
+    if(!moved) return out; // isolated pixel
+  }
+  return out;
+}
+
+function simplifyLoop(pts, every){ const out=[]; for(let i=0;i<pts.length;i+=every) out.push(pts[i]); return out; }
+
+// ---------- Pipeline ----------
+// Segments the asphalt connected to `seed` and returns its outer and inner boundary as closed polylines.
+// options.tolerance overrides the colour distance derived from the seed patch.
+// confidence is 0..1 with notes explaining any deductions.
+export function traceTrackEdges(image, seed, { tolerance=null, closeRadius=3, openRadius=1, step=3 } = {}){
+  const { data, width: w, height: h } = image; const N = w*h;
+  const sp = { x: Math.round(seed.x), y: Math.round(seed.y) };
+  if(sp.x<0 || sp.y<0 || sp.x>=w || sp.y>=h) throw new Error('Seed point is outside the image');
+  const rgb = boxBlurRGB(data, w, h);
+  const { mean, spread } = seedStats(rgb, w, h, sp);
+  const tol = tolerance || Math.max(15, Math.min(60, 2.5*spread + 12));
+  const notes = [`colour tolerance ${tol.toFixed(0)}`];
+
+  // 1. region growing from the seed on colour distance to the seed patch
+  const grown = new Uint8Array(N);
+  floodFill(grown, w, h, sp.y*w+sp.x, 1, i => { const o=i*3; return Math.hypot(rgb[o]-mean[0], rgb[o+1]-mean[1], rgb[o+2]-mean[2]) < tol; });
+
+  // 2. cleanup: closing bridges kerb stripes and painted lines, opening removes spurs into the grass
+  const cleaned = openMask(closeMask(grown, w, h, closeRadius), w, h, openRadius);
+  const region = new Uint8Array(N);
+  let seedIdx = sp.y*w+sp.x; if(!cleaned[seedIdx]) seedIdx = cleaned.findIndex((v,i)=> v && Math.abs(i%w - sp.x) + Math.abs(((i/w)|0) - sp.y) < 6);
+  if(seedIdx<0) throw new Error('No track surface found at the seed point');
+  const area = floodFill(region, w, h, seedIdx, 1, i => cleaned[i]===1);
+
+  // 3. background components: the one touching the border is outside, the largest enclosed one is the infield, the rest are filled
+  const bg = new Int32Array(N); let label = 1; const sizes = [0];
+  const isBg = i => region[i]===0;
+  for(let i=0;i<N;i++){ const x=i%w, y=(i/w)|0; if((x===0||y===0||x===w-1||y===h-1) && isBg(i) && !bg[i]) floodFill(bg, w, h, i, 1, isBg); }
+  sizes.push(0);
+  for(let i=0;i<N;i++) if(isBg(i) && !bg[i]){ label++; sizes[label] = floodFill(bg, w, h, i, label, isBg); }
+  let infield = 0; for(let l=2;l<=label;l++) if(!infield || sizes[l] > sizes[infield]) infield = l;
+  if(!infield) throw new Error('The traced surface has no infield; click on the track itself, not the surrounding area');
+  const outerMask = new Uint8Array(N), innerMask = new Uint8Array(N);
+  for(let i=0;i<N;i++){ if(bg[i]!==1) outerMask[i]=1; if(bg[i]===infield) innerMask[i]=1; }
+
+  // 4. ordered boundaries (pixel coordinates == canvas coordinates)
+  const outer = simplifyLoop(traceContour(outerMask, w, h), step);
+  const inner = simplifyLoop(traceContour(innerMask, w, h), step);
+  if(outer.length<10 || inner.length<10) throw new Error('Traced boundaries are too short');
+
+  // 5. confidence
+  let confidence = 1;
+  let touches = false; for(let x=0;x<w && !touches;x++) if(region[x] || region[(h-1)*w+x]) touches = true; for(let y=0;y<h && !touches;y++) if(region[y*w] || region[y*w+w-1]) touches = true;
+  if(touches){ confidence *= 0.5; notes.push('surface reaches the image border (possible leak)'); }
+  if(area > 0.5*N){ confidence *= 0.4; notes.push('surface covers more than half the image'); }
+  if(sizes[infield] < 0.05*area){ confidence *= 0.6; notes.push('infield is small compared with the track'); }
+  const widths = outer.filter((_,i)=>i%4===0).map(p=> Math.min(...inner.map(q=> Math.hypot(p.x-q.x, p.y-q.y)))); // outer -> inner distance ~ track width
+  const wm = widths.reduce((a,b)=>a+b,0)/widths.length, cv = Math.sqrt(widths.reduce((a,b)=>a+(b-wm)**2,0)/widths.length)/(wm||1);
+  if(cv > 0.35){ confidence *= Math.max(0.3, 1 - (cv-0.35)); notes.push(`track width varies a lot (cv ${cv.toFixed(2)})`); }
+  const filled = sizes.slice(2).reduce((a,b)=>a+b,0) - sizes[infield];
+  if(filled > 0.1*area){ confidence *= 0.8; notes.push('large holes inside the surface were filled'); }
+
+  return { outer, inner, confidence, notes, area, tolerance: tol };
+}
@@ -0,0 +1,122 @@
+// Geo-referencing: fit canvas px <-> WGS84 from control points, parse GPX/KML outlines, write GPX/KML/GeoJSON.
+// Lat/lon are handled in a local tangent plane (east/north metres around the control-point centroid),
+// which is accurate to well under a centimetre over the size of a kart circuit.
+
+const R_EARTH = 6371008.8; // mean Earth radius (m)
+const RAD = Math.PI/180;
+
+export function toLocal(origin, ll){ return { e: (ll.lon-origin.lon)*RAD*R_EARTH*Math.cos(origin.lat*RAD), n: (ll.lat-origin.lat)*RAD*R_EARTH }; }
+export function fromLocal(origin, en){ return { lat: origin.lat + en.n/(R_EARTH*RAD), lon: origin.lon + en.e/(R_EARTH*RAD*Math.cos(origin.lat*RAD)) }; }
+
+function solveLinear(A, b){ // Gaussian elimination with partial pivoting; A is n x n
+  const n = b.length; const M = A.map((row,i)=> row.concat([b[i]]));
+  for(let c=0;c<n;c++){
+    let p=c; for(let r=c+1;r<n;r++) if(Math.abs(M[r][c]) > Math.abs(M[p][c])) p=r;
+    if(Math.abs(M[p][c]) < 1e-12) throw new Error('Control points are degenerate (collinear or repeated)');
+    [M[c], M[p]] = [M[p], M[c]];
+    for(let r=0;r<n;r++){ if(r===c) continue; const f = M[r][c]/M[c][c]; for(let k=c;k<=n;k++) M[r][k] -= f*M[c][k]; }
+  }
+  return M.map((row,i)=> row[n]/row[i]);
+}
+function leastSquares(rows, rhs){ // solves min |rows*x - rhs| via the normal equations
+  const m = rows[0].length; const AtA = Array.from({length:m}, ()=> new Array(m).fill(0)), Atb = new Array(m).fill(0);
+  rows.forEach((r,i)=>{ for(let a=0;a<m;a++){ Atb[a] += r[a]*rhs[i]; for(let c=0;c<m;c++) AtA[a][c] += r[a]*r[c]; } });
+  return solveLinear(AtA, Atb);
+}
+
+// points: [{ x, y, lat, lon }]. kind 'similarity' (scale + rotation; canvas y points down, so east/north is a mirror image)
+// or 'affine' (independent x/y scale and shear). Returns the transform with its per-point and RMS residuals in metres.
+export function fitGeoTransform(points, kind='similarity'){
+  const need = kind==='affine' ? 3 : 2;
+  if(points.length < need) throw new Error(`A ${kind} fit needs at least ${need} control points`);
+  const origin = { lat: points.reduce((s,p)=>s+p.lat,0)/points.length, lon: points.reduce((s,p)=>s+p.lon,0)/points.length };
+  const en = points.map(p=> toLocal(origin, p));
+  let a,b,c,d,e,f;
+  if(kind==='affine'){
+    [a,b,c] = leastSquares(points.map(p=>[p.x,p.y,1]), en.map(q=>q.e));
+    [d,e,f] = leastSquares(points.map(p=>[p.x,p.y,1]), en.map(q=>q.n));
+  } else {
+    // E = a x + b y + c, N = b x - a y + f
+    const rows = [], rhs = [];
+    points.forEach((p,i)=>{ rows.push([p.x, p.y, 1, 0]); rhs.push(en[i].e); rows.push([-p.y, p.x, 0, 1]); rhs.push(en[i].n); });
+    [a,b,c,f] = leastSquares(rows, rhs); d = b; e = -a;
+  }
+  const t = { kind, origin, a, b, c, d, e, f, mPerPx: Math.sqrt(Math.abs(a*e - b*d)) };
+  const residuals = points.map((p,i)=>{ const q = pixelToLocal(t, p); return Math.hypot(q.e-en[i].e, q.n-en[i].n); });
+  t.residuals = residuals; t.rms = Math.sqrt(residuals.reduce((s,r)=>s+r*r,0)/residuals.length);
+  return t;
+}
+
+// North-up transform that fits a lat/lon outline into a width x height canvas, for tracks loaded without an image
+export function fitGeoToCanvas(lls, width, height, margin=40){
+  const origin = { lat: lls.reduce((s,p)=>s+p.lat,0)/lls.length, lon: lls.reduce((s,p)=>s+p.lon,0)/lls.length };
+  const en = lls.map(p=> toLocal(origin, p));
+  const minE = Math.min(...en.map(q=>q.e)), maxE = Math.max(...en.map(q=>q.e)), minN = Math.min(...en.map(q=>q.n)), maxN = Math.max(...en.map(q=>q.n));
+  const s = Math.max((maxE-minE)/(width-2*margin), (maxN-minN)/(height-2*margin)) || 1; // metres per px
+  const cx = width/2, cy = height/2, me = (minE+maxE)/2, mn = (minN+maxN)/2;
+  return { kind: 'similarity', origin, a: s, b: 0, c: me - s*cx, d: 0, e: -s, f: mn + s*cy, mPerPx: s, residuals: [], rms: 0 };
+}
+
+function pixelToLocal(t, p){ return { e: t.a*p.x + t.b*p.y + t.c, n: t.d*p.x + t.e*p.y + t.f }; }
+export function pixelToLatLon(t, p){ return fromLocal(t.origin, pixelToLocal(t, p)); }
+export function latLonToPixel(t, ll){
+  const q = toLocal(t.origin, ll); const E = q.e - t.c, N = q.n - t.f; const det = t.a*t.e - t.b*t.d;
+  return { x: (t.e*E - t.b*N)/det, y: (t.a*N - t.d*E)/det };
+}
+
+// ---------- Import ----------
+// Every <trkseg>/<rte> (GPX) or <coordinates> block (KML) becomes one polyline of { lat, lon, ele }.
+export function parseGpx(text){
+  const lines = [];
+  const blocks = text.match(/<trkseg[\s\S]*?<\/trkseg>|<rte[\s>][\s\S]*?<\/rte>/g) || [];
+  for(const blk of blocks){
+    const pts = [];
+    for(const m of blk.matchAll(/<(?:trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/(?:trkpt|rtept)>)/g)){
+      const lat = parseFloat((m[1].match(/lat="([^"]+)"/)||[])[1]), lon = parseFloat((m[1].match(/lon="([^"]+)"/)||[])[1]);
+      const ele = m[3] ? parseFloat((m[3].match(/<ele>([^<]+)<\/ele>/)||[])[1]) : NaN;
+      if(isFinite(lat) && isFinite(lon)) pts.push({ lat, lon, ele: isFinite(ele) ? ele : null });
+    }
+    if(pts.length>1) lines.push(pts);
+  }
+  return lines;
+}
+export function parseKml(text){
+  const lines = [];
+  for(const m of text.matchAll(/<coordinates>([\s\S]*?)<\/coordinates>/g)){
+    const pts = m[1].trim().split(/\s+/).map(t=>{ const [lon,lat,alt] = t.split(',').map(Number); return { lat, lon, ele: isFinite(alt) ? alt : null }; }).filter(p=>isFinite(p.lat) && isFinite(p.lon));
+    if(pts.length>1) lines.push(pts);
+  }
+  return lines;
+}
+
+// ---------- Export ----------
+const esc = s => String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+
+// lls: [{ lat, lon, time? }] where time is a Date
+export function writeGpx(name, lls){
+  const parts = ['<?xml version="1.0" encoding="UTF-8"?>', '<gpx version="1.1" creator="GoKartLineFinder" xmlns="http://www.topografix.com/GPX/1/1">', `<trk><name>${esc(name)}</name><trkseg>`];
+  for(const p of lls) parts.push(`<trkpt lat="${p.lat.toFixed(8)}" lon="${p.lon.toFixed(8)}">${p.time ? `<time>${p.time.toISOString()}</time>` : ''}</trkpt>`);
+  parts.push('</trkseg></trk>', '</gpx>');
+  return parts.join('\n');
+}
+
+// lines: [{ name, color ('rrggbb'), points: [{lat,lon}], closed }], marks: [{ name, lat, lon }]
+export function writeKml(name, lines, marks=[]){
+  const kmlColor = c => 'ff' + c.slice(4,6) + c.slice(2,4) + c.slice(0,2); // KML is aabbggrr
+  const coords = (pts, closed) => (closed ? pts.concat([pts[0]]) : pts).map(p=>`${p.lon.toFixed(8)},${p.lat.toFixed(8)},0`).join(' ');
+  const parts = ['<?xml version="1.0" encoding="UTF-8"?>', '<kml xmlns="http://www.opengis.net/kml/2.2">', `<Document><name>${esc(name)}</name>`];
+  for(const l of lines) parts.push(`<Placemark><name>${esc(l.name)}</name><Style><LineStyle><color>${kmlColor(l.color)}</color><width>3</width></LineStyle></Style><LineString><tessellate>1</tessellate><coordinates>${coords(l.points, l.closed)}</coordinates></LineString></Placemark>`);
+  for(const m of marks) parts.push(`<Placemark><name>${esc(m.name)}</name><Point><coordinates>${m.lon.toFixed(8)},${m.lat.toFixed(8)},0</coordinates></Point></Placemark>`);
+  parts.push('</Document>', '</kml>');
+  return parts.join('\n');
+}
+
+// features: [{ points: [{lat,lon}], closed, properties }]
+export function writeGeoJson(features){
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: features.map(ft=>({ type: 'Feature', properties: ft.properties || {}, geometry: ft.points.length===1
+      ? { type: 'Point', coordinates: [ft.points[0].lon, ft.points[0].lat] }
+      : { type: 'LineString', coordinates: (ft.closed ? ft.points.concat([ft.points[0]]) : ft.points).map(p=>[+p.lon.toFixed(8), +p.lat.toFixed(8)]) } }))
+  }, null, 1);
+}
@@ -1,14 +1,28 @@
 import React, { useRef, useState, useEffect } from "react";
+import { distance, simplifyPath, buildTrackModel, simulateLap, trackLine, linspace, analyzeLap, stationTimes, lapStateAt, gripRaster, trackConditions, WET_GRIP, lapTelemetryCSV, trackSVG } from "./racingLineCore";
+import { traceTrackEdges } from "./autoTrace";
+import { PROJECT_FORMAT, PROJECT_VERSION, DEFAULT_CONDITIONS, parseProject, storeProject, loadStoredProject, deleteStoredProject, listStoredProjects, lastProjectId } from "./project";
+import { fitGeoTransform, fitGeoToCanvas, pixelToLatLon, latLonToPixel, parseGpx, parseKml, writeGpx, writeKml, writeGeoJson } from "./geo";
+import { parseTelemetryCSV } from "./telemetry";
 
 // Advanced GoKart Racing Line Finder
 // Single-file React component (preview-ready). Enhancements over the basic version:
-// - Image upload + automatic edge detection (Sobel + row scanning) to trace left/right edges
+// - Image upload + auto-trace: asphalt segmentation from a clicked seed, morphological cleanup and contour following
 // - Pixel-to-meter calibration via two-click distance or known lap length
-// - Physics model with acceleration, braking, and lateral grip (mu * g)
-// - Forward-backward vehicle simulator that enforces speed limits from curvature + kinematic accel/braking
-// - Iterative racing-line optimizer (hill-climb) that shifts centerline within track corridor to reduce lap time
-// - Export options: CSV telemetry, SVG track + line, GPX (approximate)
-// - Mobile friendly layout and progress feedback for longer optimizations
+// - Physics model with kart mass, power-limited traction, aero drag + rolling resistance and a friction ellipse (mu * g, brake decel)
+// - Quasi-steady-state forward-backward lap simulator that enforces speed limits from curvature + combined accel/braking
+// - Racing-line optimizer in a Web Worker: minimum-curvature QP, then seeded minimum-time refinement within the track corridor
+// - Closed-loop track model: edges paired along normals, per-station width, start/finish line and driving direction
+// - Vertex editing (drag, insert, delete, box-select, smooth, Douglas-Peucker simplify) with undo/redo
+// - Geo-referencing from lat/lon control points (similarity/affine fit) and GPX/KML outline import
+// - Export options: CSV telemetry, SVG track + line, GPX with timestamps, KML and GeoJSON in WGS84
+// - Logger CSV import (AiM/Alfano) with speed-vs-distance and time-delta overlays against the simulated laps
+// - Setup sweeps over one or two kart parameters (re-simulated or re-optimized) with heatmap, sensitivities and CSV export
+// - Track analysis: numbered corners and straights with braking, turn-in, apex and exit markers and time vs centerline
+// - Track conditions: painted grip multipliers, elevation (painted or from GPX) and banking, with a one-click wet preset
+// - Racing line coloured by speed or by braking/throttle/grip phase, animated lap playback with HUD and a centerline ghost
+// - Versioned project files (image embedded) with autosave to IndexedDB and a recent-projects list
+// - Mobile friendly layout, live progress and cancel for longer optimizations
 
 export default function AdvancedGoKartRacingLineFinder() {
   const canvasRef = useRef(null);
@@ -17,24 +31,125 @@ export default function AdvancedGoKartRacingLineFinder() {
   const [rightPoints, setRightPoints] = useState([]);
   const [centerline, setCenterline] = useState([]);
   const [racingLine, setRacingLine] = useState([]);
+  const [track, setTrack] = useState(null); // closed corridor model from buildTrackModel
+  const [startPoint, setStartPoint] = useState(null);
+  const [direction, setDirection] = useState('cw'); // driving direction on screen
   const [isDrawing, setIsDrawing] = useState(false);
   const [mode, setMode] = useState('left');
   const [pxToMeter, setPxToMeter] = useState(0.2); // default scale
   const [calibrationPoints, setCalibrationPoints] = useState([]);
+  const [geoPoints, setGeoPoints] = useState([]); // [{x, y, lat, lon}] control points
+  const [geoKind, setGeoKind] = useState('similarity');
+  const [geoTransform, setGeoTransform] = useState(null); // canvas px <-> WGS84, from fitGeoTransform / fitGeoToCanvas
   const [kartMass, setKartMass] = useState(160); // kg (driver + kart)
   const [enginePower, setEnginePower] = useState(8500); // Watts (~11.4 hp)
   const [maxBrakeAccel, setMaxBrakeAccel] = useState(7.5); // m/s^2
   const [tyreMu, setTyreMu] = useState(1.6); // coefficient of friction
   const [vTop, setVTop] = useState(22); // m/s
+  const [dragArea, setDragArea] = useState(0.5); // CdA in m^2 (kart + upright driver)
+  const [rollingResistance, setRollingResistance] = useState(0.015); // Crr
   const [optimizing, setOptimizing] = useState(false);
   const [optProgress, setOptProgress] = useState(0);
   const [optIterations, setOptIterations] = useState(300);
+  const [optSeed, setOptSeed] = useState(1);
+  const [optPhase, setOptPhase] = useState('');
+  const [lineMargin, setLineMargin] = useState(0.7); // m kept between the kart centre and the track edge
+  const workerRef = useRef(null);
   const [lapTime, setLapTime] = useState(null);
   const [imageURL, setImageURL] = useState(null);
+  const [traceTolerance, setTraceTolerance] = useState(0); // 0 = derive from the seed patch
+  const [traceInfo, setTraceInfo] = useState(null);
+  const [telemetryLaps, setTelemetryLaps] = useState([]);
+  const speedChartRef = useRef(null);
+  const deltaChartRef = useRef(null);
+  const [projectId, setProjectId] = useState(() => `project-${Date.now()}`);
+  const [projectName, setProjectName] = useState('Untitled track');
+  const [recentProjects, setRecentProjects] = useState([]);
+  const [autosaveStatus, setAutosaveStatus] = useState('');
+  const [selection, setSelection] = useState(null); // { edge: 'left'|'right', indices: [...] } in edit mode
+  const [boxRect, setBoxRect] = useState(null);
+  const [simplifyTol, setSimplifyTol] = useState(1.5); // px
+  const dragRef = useRef(null);
+  const undoRef = useRef([]);
+  const redoRef = useRef([]);
+  const [, setHistoryTick] = useState(0); // bumped so the undo/redo buttons re-render
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = handleKeyDown;
+  const [sweepA, setSweepA] = useState({ param: 'tyreMu', from: 1.2, to: 1.8, steps: 7 });
+  const [sweepB, setSweepB] = useState({ param: '', from: 0, to: 0, steps: 5 });
+  const [sweepReoptimize, setSweepReoptimize] = useState(false);
+  const [sweepIterations, setSweepIterations] = useState(60); // optimizer iterations per combination when re-optimizing
+  const [sweepRunning, setSweepRunning] = useState(false);
+  const [sweepProgress, setSweepProgress] = useState(0);
+  const [sweepResult, setSweepResult] = useState(null);
+  const sweepWorkerRef = useRef(null);
+  const heatmapRef = useRef(null);
+  // per: unit the sensitivity is quoted in
+  const sweepParams = [
+    { key: 'tyreMu', label: 'Tyre μ', per: 0.1, unit: '0.1 μ' },
+    { key: 'enginePower', label: 'Engine power (W)', per: 100, unit: '100 W' },
+    { key: 'vTop', label: 'Top speed (m/s)', per: 1, unit: 'm/s' },
+    { key: 'maxBrakeAccel', label: 'Brake decel (m/s²)', per: 1, unit: 'm/s²' },
+    { key: 'kartMass', label: 'Mass (kg)', per: 1, unit: 'kg' }
+  ];
+  const [lapAnalysis, setLapAnalysis] = useState(null); // corners & straights of the racing line, from analyzeLap
+  const [showCorners, setShowCorners] = useState(true);
+  const [segmentSort, setSegmentSort] = useState({ key: 'lap', asc: true });
+  const telemetryColors = ['#ff7f0e','#9467bd','#8c564b','#e377c2','#17becf','#bcbd22'];
+  const [lineColoring, setLineColoring] = useState('speed'); // 'speed', 'phase' or 'plain'
+  const [lapTrace, setLapTrace] = useState(null); // simulated racing line and centerline with per-station times
+  const [playing, setPlaying] = useState(false);
+  const [playTime, setPlayTime] = useState(null); // elapsed time of the playback kart, null when not shown
+  const [playRate, setPlayRate] = useState(1); // 1 = real time
+  const [showGhost, setShowGhost] = useState(true);
+  const phaseColors = { throttle: '#2ca02c', brake: '#d62728', grip: '#ff7f0e' };
+  const [conditions, setConditions] = useState(DEFAULT_CONDITIONS); // painted grip/elevation/banking dabs and the dry/wet grip scale
+  const [paintLayer, setPaintLayer] = useState('grip');
+  const [paintValues, setPaintValues] = useState({ grip: 0.8, elevation: 0, banking: 5 }); // what the brush paints on each layer
+  const [brushRadius, setBrushRadius] = useState(20); // px
+  const [referenceLine, setReferenceLine] = useState(null); // { name, points }: the line kept when switching dry/wet
   const width = 1100;
   const height = 650;
 
-  useEffect(() => drawAll(), [leftPoints, rightPoints, centerline, racingLine, imageURL]);
+  useEffect(() => drawAll(), [leftPoints, rightPoints, centerline, racingLine, imageURL, track, optimizing, optProgress, geoPoints, geoTransform, selection, boxRect, lapAnalysis, showCorners, lineColoring, lapTrace, playTime, showGhost, conditions, referenceLine, mode, paintLayer]);
+  useEffect(() => () => { for(const w of [workerRef.current, sweepWorkerRef.current]) if(w) w.terminate(); }, []); // stop workers on unmount
+  useEffect(() => { const onKey = e => keyHandlerRef.current(e); window.addEventListener('keydown', onKey); return () => window.removeEventListener('keydown', onKey); }, []);
+  useEffect(() => { if(track && (track.startPoint!==startPoint || track.direction!==direction)) buildTrack(); }, [startPoint, direction]); // re-anchor the model when start/finish or direction changes
+  useEffect(() => { // refit whenever the control points change; the fit also sets the scale
+    if(geoPoints.length<3){ if(geoPoints.length) setGeoTransform(null); return; }
+    try { const t = fitGeoTransform(geoPoints, geoKind); setGeoTransform(t); setPxToMeter(t.mPerPx); }
+    catch(err){ setGeoTransform(null); alert(err.message); }
+  }, [geoPoints, geoKind]);
+  useEffect(() => { // restore the last session, then list what else is stored
+    const last = lastProjectId();
+    (last ? loadStoredProject(last).then(p=>{ applyProject(p); setProjectId(last); }).catch(()=>{}) : Promise.resolve()).then(refreshRecent);
+  }, []);
+  useEffect(() => { // autosave a couple of seconds after the last edit
+    if(!leftPoints.length && !rightPoints.length && !imageURL) return;
+    const timer = setTimeout(() => storeProject(projectId, projectSnapshot()).then(()=>{ setAutosaveStatus(`Autosaved ${new Date().toLocaleTimeString()}`); refreshRecent(); }).catch(err=> setAutosaveStatus('Autosave failed: ' + err.message)), 2000);
+    return () => clearTimeout(timer);
+  }, [projectName, imageURL, leftPoints, rightPoints, startPoint, direction, pxToMeter, geoPoints, geoKind, geoTransform, kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance, optIterations, optSeed, lineMargin, conditions, centerline, racingLine]);
+  useEffect(() => drawHeatmap(), [sweepResult]);
+  useEffect(() => { // re-analyse once the line settles (not on every optimizer progress update)
+    if(optimizing) return;
+    setLapAnalysis(track && racingLine.length===track.stations.length ? analyzeLap(racingLine, kartSetup(), { reference: centerline }) : null);
+  }, [track, racingLine, centerline, optimizing, pxToMeter, kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance, conditions]);
+  useEffect(() => { // speed profile and station times of both lines, for colouring and playback
+    if(optimizing) return;
+    const sim = track && racingLine.length===track.stations.length ? simulateLap(racingLine, kartSetup()) : null;
+    if(!sim){ setLapTrace(null); setPlaying(false); setPlayTime(null); return; }
+    const ghost = centerline.length===racingLine.length ? simulateLap(centerline, kartSetup()) : null;
+    setLapTrace({ sim, times: stationTimes(sim), ghost, ghostTimes: ghost ? stationTimes(ghost) : null });
+  }, [track, racingLine, centerline, optimizing, pxToMeter, kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance, conditions]);
+  useEffect(() => { // advance the playback clock every animation frame; both karts wait at the line until the slower one finishes
+    if(!playing || !lapTrace) return;
+    const end = Math.max(lapTrace.sim.time, showGhost && lapTrace.ghost ? lapTrace.ghost.time : 0) + 1.5;
+    let last = null, frame;
+    const tick = now => { if(last!==null){ const dt = (now-last)/1000*playRate; setPlayTime(t=> (t||0)+dt > end ? 0 : (t||0)+dt); } last = now; frame = requestAnimationFrame(tick); };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, playRate, lapTrace, showGhost]);
+  useEffect(() => drawCharts(), [centerline, racingLine, telemetryLaps, pxToMeter, kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance, conditions]);
 
   // ---------- Canvas drawing & mouse handling ----------
   function toCanvasCoords(e){
@@ -44,12 +159,18 @@ export default function AdvancedGoKartRacingLineFinder() {
 
   function handleMouseDown(e){
     const p = toCanvasCoords(e);
+    if (mode === 'start') return setStartPoint(p);
+    if (mode === 'seed'){ setMode('left'); return autoTraceEdges(p); }
+    if (mode === 'geo') return geoAddPoint(p);
+    if (mode === 'edit') return editMouseDown(e, p);
+    if (mode === 'paint'){ setIsDrawing(true); return paintAt(p); }
+    pushHistory(); // one undo step per stroke
     setIsDrawing(true);
     if (mode === 'left') setLeftPoints(prev => [...prev, p]);
     else setRightPoints(prev => [...prev, p]);
   }
-  function handleMouseMove(e){ if(!isDrawing) return; const p = toCanvasCoords(e); if(mode==='left') setLeftPoints(prev=>[...prev,p]); else setRightPoints(prev=>[...prev,p]); }
-  function handleMouseUp(){ setIsDrawing(false); }
+  function handleMouseMove(e){ if(mode==='edit') return editMouseMove(toCanvasCoords(e)); if(!isDrawing) return; const p = toCanvasCoords(e); if(mode==='paint') return paintAt(p); if(mode==='left') setLeftPoints(prev=>[...prev,p]); else setRightPoints(prev=>[...prev,p]); }
+  function handleMouseUp(){ setIsDrawing(false); if(mode==='edit') editMouseUp(); }
 
   function drawAll(){
     const canvas = canvasRef.current; if(!canvas) return; const ctx = canvas.getContext('2d'); ctx.clearRect(0,0,canvas.width,canvas.height);
@@ -61,209 +182,472 @@ export default function AdvancedGoKartRacingLineFinder() {
     // grid
     ctx.strokeStyle = '#eee'; ctx.lineWidth = 1; for(let x=0;x<canvas.width;x+=50){ ctx.beginPath(); ctx.moveTo(x,0); ctx.lineTo(x,canvas.height); ctx.stroke(); }
 
+    // painted grip (blue = less, green = more), and the elevation/banking dabs of the layer being painted
+    const grip = gripRaster(conditions.grip);
+    if (grip) for(let r=0;r<grip.rows;r++) for(let c=0;c<grip.cols;c++){ const v = grip.values[r*grip.cols+c]; if(v===1) continue;
+      ctx.fillStyle = v<1 ? `rgba(30,100,255,${Math.min(0.55, 0.15+(1-v)*0.6)})` : `rgba(40,170,60,${Math.min(0.55, 0.15+(v-1)*0.6)})`; ctx.fillRect(grip.x0+c*grip.cell, grip.y0+r*grip.cell, grip.cell, grip.cell); }
+    if (mode==='paint' && paintLayer!=='grip'){ let last = null; ctx.font='11px sans-serif';
+      for(const d of conditions[paintLayer]){ ctx.strokeStyle = paintLayer==='elevation' ? '#8c564b' : '#9467bd'; ctx.lineWidth=1; ctx.beginPath(); ctx.arc(d.x,d.y,d.r,0,Math.PI*2); ctx.stroke();
+        if(!last || distance(last, d) > 40){ ctx.fillStyle='#000'; ctx.fillText(paintLayer==='elevation' ? `${d.value.toFixed(1)} m` : `${d.value.toFixed(0)}°`, d.x+4, d.y-4); last = d; } } }
+
     // edges
     drawPath(ctx, leftPoints, '#d9534f', 3);
     drawPath(ctx, rightPoints, '#0275d8', 3);
 
-    // center & racing
-    drawPath(ctx, centerline, '#333', 2, [6,6]);
-    drawPath(ctx, racingLine, '#2ca02c', 3);
+    // center & racing (coloured once the simulated lap matches the line)
+    const trace = !optimizing && lapTrace && lapTrace.sim.speedProfile.length===racingLine.length ? lapTrace : null;
+    drawPath(ctx, centerline, '#333', 2, [6,6], true);
+    if (referenceLine && track && referenceLine.points.length===track.stations.length) drawPath(ctx, referenceLine.points, '#17becf', 2, [3,4], true);
+    if (trace && lineColoring!=='plain') drawColoredLine(ctx, racingLine, lineColors(trace.sim), 4);
+    else drawPath(ctx, racingLine, '#2ca02c', 3, null, true);
+
+    // start/finish line and driving direction arrow
+    if (track){ const sf = track.stations[0], ahead = track.stations[Math.min(8, track.stations.length-1)];
+      ctx.strokeStyle='#000'; ctx.lineWidth=4; ctx.beginPath(); ctx.moveTo(sf.x+sf.nx*sf.min, sf.y+sf.ny*sf.min); ctx.lineTo(sf.x+sf.nx*sf.max, sf.y+sf.ny*sf.max); ctx.stroke();
+      const ang = Math.atan2(ahead.y-sf.y, ahead.x-sf.x); ctx.fillStyle='#000'; ctx.beginPath(); ctx.moveTo(ahead.x+10*Math.cos(ang), ahead.y+10*Math.sin(ang)); ctx.lineTo(ahead.x+8*Math.cos(ang+2.5), ahead.y+8*Math.sin(ang+2.5)); ctx.lineTo(ahead.x+8*Math.cos(ang-2.5), ahead.y+8*Math.sin(ang-2.5)); ctx.fill(); }
+    else if (startPoint){ ctx.fillStyle='#000'; ctx.beginPath(); ctx.arc(startPoint.x,startPoint.y,5,0,Math.PI*2); ctx.fill(); }
+
+    // corner markers: braking point (red bar across the track), turn-in, apex (labelled) and exit
+    if (showCorners && lapAnalysis && track && racingLine.length===track.stations.length){
+      const dot = (i, color, r=5) => { const p = racingLine[i]; ctx.fillStyle=color; ctx.beginPath(); ctx.arc(p.x,p.y,r,0,Math.PI*2); ctx.fill(); };
+      ctx.font='bold 13px sans-serif';
+      for (const c of lapAnalysis.corners){
+        if (c.brakingPoint!==null){ const q = track.stations[c.brakingPoint]; ctx.strokeStyle='#d62728'; ctx.lineWidth=3; ctx.beginPath(); ctx.moveTo(q.x+q.nx*q.min, q.y+q.ny*q.min); ctx.lineTo(q.x+q.nx*q.max, q.y+q.ny*q.max); ctx.stroke(); }
+        dot(c.entry, '#ff7f0e'); dot(c.apex, '#1f77b4', 6); dot(c.exit, '#2ca02c');
+        const a = track.stations[c.apex], side = c.dir==='right' ? a.min : a.max; // label on the outside of the turn
+        ctx.fillStyle='#000'; ctx.fillText(`T${c.number}`, a.x + a.nx*(side*1.6) - 8, a.y + a.ny*(side*1.6) + 4);
+      }
+    }
+
+    // playback karts and HUD
+    if (trace && playTime!==null) drawPlayback(ctx, trace);
 
     // points
     drawPoints(ctx, leftPoints, '#d9534f'); drawPoints(ctx, rightPoints, '#0275d8');
 
+    // edit selection and box
+    if (selection){ const pts = edgePoints(selection.edge); ctx.strokeStyle='#f0ad4e'; ctx.lineWidth=2; for(const i of selection.indices){ const p = pts[i]; if(!p) continue; ctx.beginPath(); ctx.arc(p.x,p.y,6,0,Math.PI*2); ctx.stroke(); } }
+    if (boxRect){ ctx.strokeStyle='#f0ad4e'; ctx.lineWidth=1; ctx.setLineDash([4,4]); ctx.strokeRect(boxRect.x0, boxRect.y0, boxRect.x1-boxRect.x0, boxRect.y1-boxRect.y0); ctx.setLineDash([]); }
+
     // calibration points
     for (let i=0;i<calibrationPoints.length;i++){ const p = calibrationPoints[i]; ctx.fillStyle = i===0?'#000':'#666'; ctx.beginPath(); ctx.arc(p.x,p.y,6,0,Math.PI*2); ctx.fill(); }
 
+    // geo control points with their fit residuals
+    geoPoints.forEach((p,i)=>{ ctx.fillStyle='#6f42c1'; ctx.beginPath(); ctx.moveTo(p.x,p.y-7); ctx.lineTo(p.x+7,p.y); ctx.lineTo(p.x,p.y+7); ctx.lineTo(p.x-7,p.y); ctx.fill(); ctx.font='12px sans-serif'; ctx.fillText(`G${i+1}${geoTransform && geoTransform.residuals[i]!==undefined ? ` ${geoTransform.residuals[i].toFixed(2)} m` : ''}`, p.x+9, p.y-6); });
+
     // progress overlay
-    if (optimizing){ ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(0,0,canvas.width,canvas.height); ctx.fillStyle='#fff'; ctx.font='18px sans-serif'; ctx.fillText(`Optimizing... ${Math.round(optProgress*100)}%`, 20, 40); }
+    if (optimizing){ ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(0,0,canvas.width,canvas.height); ctx.fillStyle='#fff'; ctx.font='18px sans-serif'; ctx.fillText(`Optimizing (${optPhase})... ${Math.round(optProgress*100)}%`, 20, 40); }
   }
 
-  function drawPath(ctx, pts, color, width=2, dash=null){ if(!pts || pts.length<2) return; ctx.beginPath(); ctx.lineWidth=width; ctx.strokeStyle=color; if(dash) ctx.setLineDash(dash); ctx.moveTo(pts[0].x, pts[0].y); for(let i=1;i<pts.length;i++) ctx.lineTo(pts[i].x, pts[i].y); ctx.stroke(); ctx.setLineDash([]); }
+  function drawPath(ctx, pts, color, width=2, dash=null, closed=false){ if(!pts || pts.length<2) return; ctx.beginPath(); ctx.lineWidth=width; ctx.strokeStyle=color; if(dash) ctx.setLineDash(dash); ctx.moveTo(pts[0].x, pts[0].y); for(let i=1;i<pts.length;i++) ctx.lineTo(pts[i].x, pts[i].y); if(closed) ctx.closePath(); ctx.stroke(); ctx.setLineDash([]); }
   function drawPoints(ctx, pts, color){ for(let p of pts){ ctx.fillStyle = color; ctx.beginPath(); ctx.arc(p.x,p.y,3,0,Math.PI*2); ctx.fill(); } }
 
+  // ---------- Line colouring & lap playback ----------
+  function speedColor(v, lo, hi){ const u = hi>lo ? Math.max(0, Math.min(1, (v-lo)/(hi-lo))) : 1; return `hsl(${Math.round(120*u)},85%,42%)`; } // red (slow) -> green (fast)
+  function lineColors(sim){ if(lineColoring==='phase') return sim.phase.map(p=> phaseColors[p]); const v = sim.speedProfile, lo = Math.min(...v), hi = Math.max(...v); return v.map(x=> speedColor(x, lo, hi)); }
+  function drawColoredLine(ctx, pts, colors, width){ ctx.lineWidth = width; ctx.lineCap = 'round'; for(let i=0;i<pts.length;i++){ const a = pts[i], b = pts[(i+1)%pts.length]; ctx.strokeStyle = colors[i]; ctx.beginPath(); ctx.moveTo(a.x,a.y); ctx.lineTo(b.x,b.y); ctx.stroke(); } ctx.lineCap = 'butt'; }
+  function drawKart(ctx, s, color, alpha=1){ ctx.save(); ctx.globalAlpha = alpha; ctx.translate(s.x, s.y); ctx.rotate(s.heading); ctx.fillStyle = color; ctx.strokeStyle = '#000'; ctx.lineWidth = 1.5; ctx.beginPath(); ctx.moveTo(10,0); ctx.lineTo(-7,-6); ctx.lineTo(-7,6); ctx.closePath(); ctx.fill(); ctx.stroke(); ctx.restore(); }
+
+  function drawPlayback(ctx, trace){
+    const kart = lapStateAt(racingLine, trace.sim, trace.times, playTime);
+    const ghost = showGhost && trace.ghost ? lapStateAt(centerline, trace.ghost, trace.ghostTimes, playTime) : null;
+    if (ghost) drawKart(ctx, ghost, '#999', 0.7);
+    drawKart(ctx, kart, '#ffd700');
+    // delta to the centerline at the kart's position along the track (negative = time gained)
+    const at = (times, total) => { const j = (kart.index+1)%times.length; return times[kart.index] + ((j ? times[j] : total) - times[kart.index])*kart.u; };
+    const delta = trace.ghost ? (kart.finished ? trace.sim.time - trace.ghost.time : at(trace.times, trace.sim.time) - at(trace.ghostTimes, trace.ghost.time)) : null;
+    const rows = [
+      `Time   ${Math.min(playTime, trace.sim.time).toFixed(2)} s${kart.finished ? ' ■' : ''}`,
+      `Speed  ${(kart.speed*3.6).toFixed(1)} km/h`,
+      `Lat    ${(kart.latAccel/9.81).toFixed(2)} g`,
+      `Phase  ${kart.phase}`
+    ];
+    if (delta!==null) rows.push(`Δ CL   ${delta>=0?'+':''}${delta.toFixed(2)} s`);
+    const w = 190, h = 12 + rows.length*20;
+    ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(width-w-10, 10, w, h);
+    ctx.font = '14px monospace'; rows.forEach((r,i)=>{ ctx.fillStyle = i===rows.length-1 && delta!==null ? (delta<=0 ? '#7CFC00' : '#ff6b6b') : '#fff'; ctx.fillText(r, width-w, 30+i*20); });
+  }
+
+  function togglePlayback(){ if(!lapTrace) return; if(playTime===null) setPlayTime(0); setPlaying(p=>!p); }
+  function stopPlayback(){ setPlaying(false); setPlayTime(null); }
+
+  // ---------- Edge editing & history ----------
+  // Undo/redo keep whole snapshots of the edges, start/finish, direction, lines and track model.
+  // Start/finish and direction come from the model when there is one: the re-anchor effect snapshots after they changed.
+  function historySnapshot(){ return { leftPoints, rightPoints, startPoint: track ? track.startPoint : startPoint, direction: track ? track.direction : direction, centerline, racingLine, track }; }
+  function pushHistory(){ undoRef.current = undoRef.current.slice(-99).concat([historySnapshot()]); redoRef.current = []; setHistoryTick(t=>t+1); }
+  function restoreSnapshot(s){ setLeftPoints(s.leftPoints); setRightPoints(s.rightPoints); setStartPoint(s.startPoint); setDirection(s.direction); setCenterline(s.centerline); setRacingLine(s.racingLine); setTrack(s.track); setSelection(null); setLapTime(null); }
+  function undo(){ const prev = undoRef.current.pop(); if(!prev) return; redoRef.current.push(historySnapshot()); restoreSnapshot(prev); setHistoryTick(t=>t+1); }
+  function redo(){ const next = redoRef.current.pop(); if(!next) return; undoRef.current.push(historySnapshot()); restoreSnapshot(next); setHistoryTick(t=>t+1); }
+  function resetHistory(){ undoRef.current = []; redoRef.current = []; setHistoryTick(t=>t+1); }
+
+  function edgePoints(edge){ return edge==='left' ? leftPoints : rightPoints; }
+  function setEdgePoints(edge, fn){ (edge==='left' ? setLeftPoints : setRightPoints)(fn); }
+  function editEdges(){ pushHistory(); setTrack(null); setCenterline([]); setRacingLine([]); setLapTime(null); } // the model and lines no longer match the edges
+
+  function hitVertex(p, radius=8){ let best=null;
+    for(const edge of ['left','right']){ const pts = edgePoints(edge); for(let i=0;i<pts.length;i++){ const d=distance(p,pts[i]); if(d<radius && (!best || d<best.d)) best={edge, index:i, d}; } }
+    return best; }
+  function hitSegment(p, radius=8){ let best=null;
+    for(const edge of ['left','right']){ const pts = edgePoints(edge); for(let i=0;i<pts.length-1;i++){ const a=pts[i], b=pts[i+1]; const dx=b.x-a.x, dy=b.y-a.y; const t=Math.max(0, Math.min(1, ((p.x-a.x)*dx+(p.y-a.y)*dy)/((dx*dx+dy*dy)||1))); const q={x:a.x+dx*t, y:a.y+dy*t}; const d=distance(p,q); if(d<radius && (!best || d<best.d)) best={edge, index:i, point:q, d}; } }
+    return best; }
+
+  function editMouseDown(e, p){
+    const hit = hitVertex(p);
+    if(!hit){ dragRef.current = { type: 'box', start: p }; setBoxRect({ x0: p.x, y0: p.y, x1: p.x, y1: p.y }); return; }
+    const additive = e.ctrlKey || e.metaKey;
+    let sel = selection;
+    if(!(sel && sel.edge===hit.edge && sel.indices.includes(hit.index))) sel = { edge: hit.edge, indices: additive && sel && sel.edge===hit.edge ? sel.indices.concat([hit.index]) : [hit.index] };
+    setSelection(sel); dragRef.current = { type: 'move', last: p, moved: false, sel };
+  }
+  function editMouseMove(p){
+    const drag = dragRef.current; if(!drag) return;
+    if(drag.type==='box') return setBoxRect(b=> b && { ...b, x1: p.x, y1: p.y });
+    if(!drag.moved){ editEdges(); drag.moved = true; }
+    const dx = p.x-drag.last.x, dy = p.y-drag.last.y; drag.last = p; const inSel = new Set(drag.sel.indices);
+    setEdgePoints(drag.sel.edge, prev=> prev.map((q,i)=> inSel.has(i) ? { x: q.x+dx, y: q.y+dy } : q));
+  }
+  function editMouseUp(){
+    const drag = dragRef.current; dragRef.current = null;
+    if(!drag || drag.type!=='box' || !boxRect) return;
+    const x0=Math.min(boxRect.x0,boxRect.x1), x1=Math.max(boxRect.x0,boxRect.x1), y0=Math.min(boxRect.y0,boxRect.y1), y1=Math.max(boxRect.y0,boxRect.y1);
+    const inside = edge => edgePoints(edge).map((q,i)=> q.x>=x0 && q.x<=x1 && q.y>=y0 && q.y<=y1 ? i : -1).filter(i=>i>=0);
+    const l = inside('left'), r = inside('right');
+    setSelection(l.length||r.length ? (l.length>=r.length ? { edge: 'left', indices: l } : { edge: 'right', indices: r }) : null);
+    setBoxRect(null);
+  }
+  function editDoubleClick(e){ // insert a vertex on the nearest segment
+    if(mode!=='edit') return; const hit = hitSegment(toCanvasCoords(e)); if(!hit) return;
+    editEdges(); setEdgePoints(hit.edge, prev=> [...prev.slice(0, hit.index+1), hit.point, ...prev.slice(hit.index+1)]); setSelection({ edge: hit.edge, indices: [hit.index+1] });
+  }
+
+  function deleteSelected(){ if(!selection) return; const drop = new Set(selection.indices); editEdges(); setEdgePoints(selection.edge, prev=> prev.filter((_,i)=>!drop.has(i))); setSelection(null); }
+  function smoothSelected(iters=3){ // Laplacian smoothing of the selected vertices; the edge is a loop, so neighbours wrap
+    if(!selection) return alert('Select vertices first (box-drag in Edit mode)'); const sel = new Set(selection.indices); editEdges();
+    setEdgePoints(selection.edge, prev=>{ let cur = prev; const n = prev.length;
+      for(let k=0;k<iters;k++){ const next = cur.slice(); for(const i of sel){ const q=cur[i], a=cur[(i-1+n)%n], b=cur[(i+1)%n]; next[i] = { x: 0.5*q.x + 0.25*(a.x+b.x), y: 0.5*q.y + 0.25*(a.y+b.y) }; } cur = next; }
+      return cur; });
+  }
+  function simplifyEdges(){ // Douglas-Peucker on the selected edge, or on both
+    const edges = selection ? [selection.edge] : ['left','right']; editEdges();
+    for(const edge of edges) setEdgePoints(edge, prev=> simplifyPath(prev, simplifyTol));
+    setSelection(null);
+  }
+
+  function handleKeyDown(e){
+    if(['INPUT','SELECT','TEXTAREA'].includes(e.target.tagName)) return;
+    const mod = e.ctrlKey || e.metaKey;
+    if(mod && e.key.toLowerCase()==='z'){ e.preventDefault(); if(e.shiftKey) redo(); else undo(); }
+    else if(mod && e.key.toLowerCase()==='y'){ e.preventDefault(); redo(); }
+    else if(mode==='edit' && (e.key==='Delete' || e.key==='Backspace')){ e.preventDefault(); deleteSelected(); }
+  }
+
   // ---------- Image upload & basic auto-trace ----------
-  function onImageUpload(e){ const f = e.target.files[0]; if(!f) return; const url = URL.createObjectURL(f); setImageURL(url); }
-
-  function autoTraceEdges(){
-    // Read pixels, compute simple Sobel edge magnitude, then for each row find leftmost and rightmost edge pixels.
-    const canvas = canvasRef.current; const ctx = canvas.getContext('2d'); // ensure image drawn
-    const img = imgRef.current; if(!img) return alert('Load an image first'); ctx.drawImage(img,0,0,canvas.width,canvas.height);
-    const { data, width: w, height: h } = ctx.getImageData(0,0,canvas.width,canvas.height);
-    // grayscale
-    const gray = new Float32Array(w*h);
-    for(let y=0;y<h;y++) for(let x=0;x<w;x++){ const i=(y*w+x)*4; gray[y*w+x] = 0.299*data[i] + 0.587*data[i+1] + 0.114*data[i+2]; }
-    // sobel
-    const mag = new Float32Array(w*h);
-    const gxKernel = [-1,0,1,-2,0,2,-1,0,1];
-    const gyKernel = [-1,-2,-1,0,0,0,1,2,1];
-    for(let y=1;y<h-1;y++){
-      for(let x=1;x<w-1;x++){
-        let gx=0, gy=0, k=0;
-        for(let ky=-1;ky<=1;ky++) for(let kx=-1;kx<=1;kx++){ const val = gray[(y+ky)*w + (x+kx)]; gx += val * gxKernel[k++]; }
-        k=0; for(let ky=-1;ky<=1;ky++) for(let kx=-1;kx<=1;kx++){ const val = gray[(y+ky)*w + (x+kx)]; gy += val * gyKernel[k++]; }
-        mag[y*w+x] = Math.hypot(gx,gy);
-      }
-    }
-    // threshold as percentile
-    const copy = Array.from(mag).filter(v=>v>0).sort((a,b)=>a-b);
-    const thr = copy[Math.floor(copy.length*0.85)] || 30;
-    // for each row find leftmost and rightmost where mag>thr
-    const left = [], right = [];
-    for(let y=0;y<h;y++){
-      let lx = -1, rx = -1;
-      for(let x=0;x<w;x++){ if(mag[y*w+x] > thr){ lx = x; break; } }
-      for(let x=w-1;x>=0;x--){ if(mag[y*w+x] > thr){ rx = x; break; } }
-      if(lx>=0 && rx>=0 && rx-lx>20){ left.push({x: lx, y}); right.push({x: rx, y}); }
-    }
-    // downsample and scale to canvas coords
-    const sample = 2; const l2 = []; const r2 = [];
-    for(let i=0;i<left.length;i+=sample){ l2.push(left[i]); r2.push(right[i]); }
-    setLeftPoints(l2); setRightPoints(r2);
-    alert('Auto-trace completed. You can refine by drawing manually.');
-  }
-
-  // ---------- Geometry helpers ----------
-  function distance(a,b){ return Math.hypot(a.x-b.x, a.y-b.y); }
-  function resamplePath(pts, spacing){ if(pts.length<2) return pts.slice(); const d=[0]; for(let i=1;i<pts.length;i++) d.push(d[i-1]+distance(pts[i],pts[i-1])); const total=d[d.length-1]; const n = Math.max(2, Math.round(total/spacing)); const out=[]; for(let i=0;i<=n;i++){ const t=(i/n)*total; let j=0; while(j<d.length-1 && d[j+1]<t) j++; const tt=(t-d[j])/(d[j+1]-d[j]||1); const x = pts[j].x + (pts[j+1].x-pts[j].x)*tt; const y = pts[j].y + (pts[j+1].y-pts[j].y)*tt; out.push({x,y}); } return out; }
-  function smoothPath(pts, iters=3){ if(pts.length<3) return pts.slice(); let cur = pts.slice(); for(let k=0;k<iters;k++){ const nxt=[cur[0]]; for(let i=0;i<cur.length-1;i++){ const p0=cur[i], p1=cur[i+1]; const q={x:0.75*p0.x + 0.25*p1.x, y:0.75*p0.y+0.25*p1.y}; const r={x:0.25*p0.x + 0.75*p1.x, y:0.25*p0.y+0.75*p1.y}; nxt.push(q); nxt.push(r); } nxt.push(cur[cur.length-1]); cur=nxt; } return cur; }
-
-  function computeCenterlineFromEdges(){ if(leftPoints.length<5 || rightPoints.length<5) return alert('Draw both edges first'); const left = resamplePath(leftPoints, 3); const right = resamplePath(rightPoints, 3); const n=Math.min(left.length,right.length); const center=[]; for(let i=0;i<n;i++){ center.push({x:(left[i].x+right[i].x)/2, y:(left[i].y+right[i].y)/2}); } const sm = smoothPath(center,4); setCenterline(sm); setRacingLine(sm.slice()); setLapTime(null); }
-
-  // ---------- Curvature & kappa ----------
-  function computeCurvature(pts){ const n=pts.length; const out=[]; for(let i=0;i<n;i++){ const p0=pts[(i-1+n)%n]; const p1=pts[i]; const p2=pts[(i+1)%n]; const dx1=p1.x-p0.x, dy1=p1.y-p0.y; const dx2=p2.x-p1.x, dy2=p2.y-p1.y; const cross = dx1*dy2 - dy1*dx2; const len1 = Math.hypot(dx1,dy1); const len2 = Math.hypot(dx2,dy2); const denom = (len1*len2*(len1+len2)) || 1; const k = (cross)/denom; // signed curvature in px^{-1}
-    // tangent unit
-    const tx = (dx1+dx2)/2, ty=(dy1+dy2)/2; const tlen=Math.hypot(tx,ty)||1;
-    out.push({kappa: k, tx: tx/tlen, ty: ty/tlen}); }
-    return out; }
-
-  // ---------- Vehicle dynamics simulation (forward-backward) ----------
-  function simulateLap(path, options={pxToMeter, tyreMu, maxBrakeAccel, enginePower, vTop}){
-    // path: array of {x,y} in canvas px
-    if(path.length<2) return null;
-    const g = 9.81;
-    const px2m = pxToMeter;
-    const n = path.length;
-    const dist = new Array(n).fill(0);
-    for(let i=0;i<n-1;i++) dist[i] = Math.hypot(path[i+1].x-path[i].x, path[i+1].y-path[i].y)*px2m;
-    dist[n-1]=Math.hypot(path[0].x-path[n-1].x, path[0].y-path[n-1].y)*px2m; // close loop
-
-    const curv = computeCurvature(path).map(c=> Math.abs(c.kappa)/px2m ); // in 1/m
-    // speed limit from lateral grip: v = sqrt(mu*g / kappa)
-    const speedLimit = curv.map(k=> k>1e-8 ? Math.sqrt(Math.max(0.5, tyreMu*g / k)) : options.vTop);
-    for(let i=0;i<n;i++) speedLimit[i] = Math.min(speedLimit[i], options.vTop);
-
-    // forward pass (accelerate where possible)
-    const v = new Array(n).fill(0);
-    v[0] = Math.min(speedLimit[0], options.vTop);
-    for(let i=1;i<n;i++){
-      const a_forward = Math.min(options.enginePower / Math.max(1, options.enginePower/1e3), 3.5); // simplified
-      // distance available = dist[i-1]
-      const vmax = Math.sqrt(v[i-1]*v[i-1] + 2*a_forward*dist[i-1]);
-      v[i] = Math.min(speedLimit[i], vmax, options.vTop);
-    }
-    // backward pass (brake for corners)
-    for(let iter=0;iter<3;iter++){
-      for(let i=n-2;i>=0;i--){
-        const brake = options.maxBrakeAccel; // m/s^2
-        const d = dist[i];
-        const v_allow = Math.sqrt(v[i+1]*v[i+1] + 2*brake*d);
-        if(v[i] > v_allow) v[i] = Math.max(0, v_allow);
-      }
-    }
+  function onImageUpload(e){ const f = e.target.files[0]; if(!f) return; const reader = new FileReader(); reader.onload = () => setImageURL(reader.result); reader.readAsDataURL(f); } // data URL, so projects can embed it
+
+  function autoTraceEdges(seed){
+    // segment the asphalt connected to the clicked seed point, then follow its outer and inner boundary
+    const img = imgRef.current; if(!img || !imageURL) return alert('Load an image first');
+    const off = document.createElement('canvas'); off.width = width; off.height = height;
+    const octx = off.getContext('2d'); octx.drawImage(img, 0, 0, width, height);
+    try {
+      const res = traceTrackEdges(octx.getImageData(0, 0, width, height), seed, { tolerance: traceTolerance || null });
+      pushHistory(); setLeftPoints(res.outer); setRightPoints(res.inner); setTrack(null); setCenterline([]); setRacingLine([]); setLapTime(null);
+      setTraceInfo({ confidence: res.confidence, notes: res.notes });
+    } catch(err){ setTraceInfo(null); alert('Auto-trace failed: ' + err.message); }
+  }
 
-    // compute times
-    let totalT = 0; const segV=[];
-    for(let i=0;i<n;i++){
-      const vi = v[i]; const d = dist[i]; const ti = d / Math.max(0.1, vi); totalT += ti; segV.push(vi);
-    }
+  function buildTrack(){
+    try {
+      const t = buildTrackModel(leftPoints, rightPoints, { startPoint, direction });
+      const center = trackLine(t); pushHistory(); setTrack(t); setCenterline(center); setRacingLine(center.slice()); setLapTime(null);
+    } catch(err){ alert(err.message); }
+  }
 
-    return { time: totalT, speedProfile: segV, dist, speedLimit };
-  }
-
-  // ---------- Racing-line optimizer (hill-climb shifting along normals) ----------
-  async function optimizeRacingLine(iterations=200){ if(centerline.length<5) return alert('Compute centerline first'); setOptimizing(true); setOptProgress(0);
-    // build corridor: for each center point, compute left/right available offsets to edges
-    const left = resamplePath(leftPoints,3), right = resamplePath(rightPoints,3);
-    const n = Math.min(left.length, right.length);
-    const center = [];
-    for(let i=0;i<n;i++) center.push({x:(left[i].x+right[i].x)/2, y:(left[i].y+right[i].y)/2, left:left[i], right:right[i]});
-    const path = smoothPath(center.map(p=>({x:p.x,y:p.y})),3);
-    let candidate = path.map(p=>({x:p.x,y:p.y}));
-    // precompute normals
-    const normals = [];
-    for(let i=0;i<candidate.length;i++){
-      const p1 = candidate[(i+1)%candidate.length]; const p0 = candidate[(i-1+candidate.length)%candidate.length]; const tx = p1.x - p0.x, ty = p1.y - p0.y; const len = Math.hypot(tx,ty)||1; const nx = -ty/len, ny = tx/len; normals.push({nx,ny});
-    }
-    // allowed offset magnitude limited by distance to left/right edges along normal
-    const allowed = new Array(candidate.length).fill(0).map(()=>({min:-100, max:100}));
-    for(let i=0;i<candidate.length;i++){
-      // ray along normal: find intersections with left and right polylines by projecting difference
-      const c = candidate[i]; const {nx,ny} = normals[i];
-      // estimate distances to left and right by measuring projection of (left - center) onto normal
-      const lp = left[Math.round(i*left.length/candidate.length)]; const rp = right[Math.round(i*right.length/candidate.length)];
-      const dl = ( (lp.x-c.x)*nx + (lp.y-c.y)*ny ); const dr = ( (rp.x-c.x)*nx + (rp.y-c.y)*ny );
-      // min = min(dl,dr), max = max(dl,dr) but center is between left and right
-      allowed[i] = {min: Math.min(dl,dr), max: Math.max(dl,dr)};
+  // ---------- Vehicle dynamics simulation (quasi-steady-state) ----------
+  function kartSetup(){ return { pxToMeter, kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance, conditions: trackConditions(track, conditions) }; }
+
+  // ---------- Racing-line optimizer (Web Worker) ----------
+  function optimizeRacingLine(){ if(!track) return alert('Build the track first'); if(workerRef.current) return;
+    pushHistory(); setOptimizing(true); setOptProgress(0); setOptPhase('min-curvature');
+    const worker = new Worker(new URL('./racingLineOptimizer.worker.js', import.meta.url)); workerRef.current = worker;
+    const finish = () => { worker.terminate(); workerRef.current = null; setOptimizing(false); };
+    worker.onmessage = (e) => { const msg = e.data;
+      setRacingLine(trackLine(track, msg.offsets)); setLapTime(msg.time);
+      if(msg.type==='progress'){ setOptProgress(msg.progress); setOptPhase(msg.phase); }
+      else { setOptProgress(1); finish(); }
+    };
+    worker.onerror = (err) => { finish(); alert('Optimizer failed: ' + err.message); };
+    worker.postMessage({ track, setup: kartSetup(), options: { iterations: optIterations, seed: optSeed, margin: lineMargin/pxToMeter } });
+  }
+  // keeps the best line reported so far
+  function cancelOptimizer(){ if(!workerRef.current) return; workerRef.current.terminate(); workerRef.current = null; setOptimizing(false); }
+
+  // ---------- Export functions ----------
+  function downloadFile(text, type, filename){ const blob=new Blob([text],{type}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download=filename; a.click(); URL.revokeObjectURL(url); }
+  function exportReady(){ if(!track) { alert('Build the track first'); return false; } if(!racingLine || racingLine.length!==track.stations.length) { alert('No racing line'); return false; } return true; }
+
+  function exportCSV(){ if(!exportReady()) return; downloadFile(lapTelemetryCSV(track, racingLine, simulateLap(racingLine,kartSetup()), pxToMeter), 'text/csv', 'racing_line_telemetry.csv'); }
+  function exportSVG(){ if(!exportReady()) return; downloadFile(trackSVG(track, racingLine, { width, height, image: imageURL }), 'image/svg+xml', 'racing_line.svg'); }
+
+  function geoReady(){ if(!geoTransform){ alert('Pin at least three geo control points (or import a GPX/KML outline) first'); return false; } return exportReady(); }
+  function geoLines(){ // racing line, centerline and track edges in WGS84, each a closed loop starting at start/finish
+    const ll = pts => pts.map(p=> pixelToLatLon(geoTransform, p)); const st = track.stations;
+    return [
+      { name: 'Racing line', color: '2ca02c', points: ll(racingLine), closed: true },
+      { name: 'Centerline', color: '333333', points: ll(centerline), closed: true },
+      { name: 'Left edge', color: 'd9534f', points: ll(trackLine(track, st.map(q=>q.min))), closed: true },
+      { name: 'Right edge', color: '0275d8', points: ll(trackLine(track, st.map(q=>q.max))), closed: true }
+    ];
+  }
+
+  function exportGPX(){ // racing line in WGS84 with timestamps from the simulated speed, starting now
+    if(!geoReady()) return;
+    const sim = simulateLap(racingLine, kartSetup()); const t0 = Date.now(); let t = 0;
+    const pts = racingLine.concat([racingLine[0]]).map((p,i)=>{ const ll = { ...pixelToLatLon(geoTransform, p), time: new Date(t0 + t*1000) }; if(i<racingLine.length) t += 2*sim.dist[i]/Math.max(0.2, sim.speedProfile[i] + sim.speedProfile[(i+1)%racingLine.length]); return ll; });
+    downloadFile(writeGpx('Racing Line', pts), 'application/gpx+xml', 'racing_line.gpx');
+  }
+
+  function exportKML(){ if(!geoReady()) return; const sf = pixelToLatLon(geoTransform, track.stations[0]);
+    downloadFile(writeKml('GoKart Racing Line', geoLines(), [{ name: 'Start/Finish', ...sf }]), 'application/vnd.google-earth.kml+xml', 'racing_line.kml'); }
+
+  function exportGeoJSON(){ if(!geoReady()) return; const sim = simulateLap(racingLine, kartSetup()); const sf = track.stations[0];
+    const features = geoLines().map(l=>({ points: l.points, closed: true, properties: { name: l.name } }));
+    features[0].properties = { name: 'Racing line', lapTime_s: +sim.time.toFixed(3), speed_mps: sim.speedProfile.map(v=>+v.toFixed(2)) };
+    features.push({ points: [sf.min, sf.max].map(o=> pixelToLatLon(geoTransform, { x: sf.x+sf.nx*o, y: sf.y+sf.ny*o })), properties: { name: 'Start/Finish' } });
+    downloadFile(writeGeoJson(features), 'application/geo+json', 'racing_line.geojson'); }
+
+  // ---------- Telemetry import & comparison ----------
+  function simulatedLapLength(){ const l = racingLine.length>1 ? racingLine : centerline; return l.length>1 ? l.reduce((s,p,i)=> s + distance(p, l[(i+1)%l.length]), 0)*pxToMeter : null; }
+  function lapLengthWarning(lap, simLength){ // logger laps are squashed onto the simulated lap, so a run over several laps compares nothing
+    const r = simLength ? lap.length/simLength : 1; return r > 1.25 ? `${r.toFixed(1)}× the simulated lap — more than one lap?` : r < 0.75 ? `only ${Math.round(r*100)}% of the simulated lap` : null; }
+  function lapProfile(path, label, color){
+    // simulated lap as cumulative distance/time arrays (n+1 samples, last one closes the loop)
+    const sim = simulateLap(path, kartSetup()); if(!sim) return null;
+    const n = path.length; const dist=[0], cumTime=[0], speed = sim.speedProfile.concat(sim.speedProfile[0]);
+    for(let i=0;i<n;i++){ dist.push(dist[i]+sim.dist[i]); cumTime.push(cumTime[i] + 2*sim.dist[i]/Math.max(0.2, speed[i]+speed[i+1])); }
+    return { name: label, color, dist, speed, cumTime, length: dist[n], time: cumTime[n] };
+  }
+
+  function interpAt(xs, ys, x){ let lo=0, hi=xs.length-1; if(x<=xs[0]) return ys[0]; if(x>=xs[hi]) return ys[hi]; while(hi-lo>1){ const mid=(lo+hi)>>1; if(xs[mid]<=x) lo=mid; else hi=mid; } const f=(x-xs[lo])/((xs[hi]-xs[lo])||1); return ys[lo] + (ys[hi]-ys[lo])*f; }
+
+  function buildComparison(){
+    // everything is aligned by fraction of lap distance and plotted against the racing line's distance
+    const ref = lapProfile(racingLine, 'Racing line', '#2ca02c'); if(!ref) return null;
+    const center = lapProfile(centerline, 'Centerline', '#333');
+    const laps = telemetryLaps.filter(l=>l.visible).map((l,k)=>({...l, color: telemetryColors[k % telemetryColors.length]}));
+    const N = 400; const x = []; for(let i=0;i<=N;i++) x.push(i/N*ref.length);
+    const series = [ref].concat(center ? [center] : [], laps).map(p=>{
+      const at = f => f*p.length;
+      const v = x.map(xi=> interpAt(p.dist, p.speed, at(xi/ref.length)));
+      const delta = x.map(xi=> interpAt(p.dist, p.cumTime, at(xi/ref.length)) - interpAt(ref.dist, ref.cumTime, xi));
+      return { name: p.name, color: p.color, time: p.time, v, delta };
+    });
+    return { x, series };
+  }
+
+  function drawChart(canvas, x, series, key, yLabel, scale=1){
+    if(!canvas) return; const ctx = canvas.getContext('2d'); const W=canvas.width, H=canvas.height, padL=48, padR=10, padT=10, padB=26;
+    ctx.fillStyle='#fff'; ctx.fillRect(0,0,W,H);
+    const ys = series.flatMap(s=>s[key].map(y=>y*scale)); let ymin=Math.min(...ys), ymax=Math.max(...ys); if(key==='delta'){ const m=Math.max(Math.abs(ymin),Math.abs(ymax),0.1); ymin=-m; ymax=m; } else { ymin=0; ymax=Math.max(ymax,1)*1.05; }
+    const xmax = x[x.length-1]||1; const px = xi => padL + xi/xmax*(W-padL-padR); const py = y => H-padB - (y-ymin)/((ymax-ymin)||1)*(H-padT-padB);
+    ctx.strokeStyle='#eee'; ctx.fillStyle='#666'; ctx.font='11px sans-serif'; ctx.lineWidth=1;
+    for(let k=0;k<=4;k++){ const y=ymin+(ymax-ymin)*k/4; ctx.beginPath(); ctx.moveTo(padL,py(y)); ctx.lineTo(W-padR,py(y)); ctx.stroke(); ctx.fillText(y.toFixed(key==='delta'?2:0), 4, py(y)+4); }
+    for(let k=0;k<=5;k++){ const xi=xmax*k/5; ctx.fillText(`${Math.round(xi)} m`, px(xi)-12, H-8); }
+    ctx.fillText(yLabel, padL+4, padT+10);
+    for(const s of series){ ctx.beginPath(); ctx.strokeStyle=s.color; ctx.lineWidth=s.name==='Racing line'?2:1.5; s[key].forEach((y,i)=>{ if(i===0) ctx.moveTo(px(x[i]),py(y*scale)); else ctx.lineTo(px(x[i]),py(y*scale)); }); ctx.stroke(); }
+    // legend
+    series.forEach((s,i)=>{ const lx=W-padR-170, ly=padT+12+i*14; ctx.fillStyle=s.color; ctx.fillRect(lx,ly-8,10,3); ctx.fillStyle='#333'; ctx.fillText(`${s.name} ${s.time.toFixed(2)} s`, lx+14, ly-4); });
+  }
+
+  function drawCharts(){
+    const cmp = buildComparison();
+    if(!cmp){ for(const c of [speedChartRef.current, deltaChartRef.current]) if(c) c.getContext('2d').clearRect(0,0,c.width,c.height); return; }
+    drawChart(speedChartRef.current, cmp.x, cmp.series, 'v', 'Speed (km/h)', 3.6);
+    drawChart(deltaChartRef.current, cmp.x, cmp.series, 'delta', 'Δt vs racing line (s)');
+  }
+
+  async function onTelemetryUpload(e){
+    const files = Array.from(e.target.files||[]); e.target.value='';
+    for(const f of files){
+      try { const laps = parseTelemetryCSV(await f.text(), f.name.replace(/\.[^.]+$/,''), { lapLength: simulatedLapLength() }); setTelemetryLaps(prev=>[...prev, ...laps]); }
+      catch(err){ alert(`Could not import ${f.name}: ${err.message}`); }
     }
+  }
 
-    // baseline time
-    let bestSim = simulateLap(candidate, { pxToMeter, tyreMu, maxBrakeAccel, enginePower, vTop }); if(!bestSim) { setOptimizing(false); return; }
-    let bestTime = bestSim.time; setRacingLine(candidate); setLapTime(bestTime);
-
-    for(let it=0; it<iterations; it++){
-      // local search: pick some random points and try small shifts
-      const tries = 30; let improved=false;
-      for(let t=0;t<tries;t++){
-        const i = Math.floor(Math.random()*candidate.length);
-        const range = Math.min( allowed[i].max - allowed[i].min, 60 );
-        const step = (Math.random()*2-1) * range * (0.08 + 0.92*(1 - it/iterations)); // larger early
-        const newCandidate = candidate.map((p,idx)=> idx===i ? { x: p.x + normals[idx].nx * step, y: p.y + normals[idx].ny * step } : { x:p.x, y:p.y });
-        const sm = smoothPath(newCandidate,2);
-        const sim = simulateLap(sm, { pxToMeter, tyreMu, maxBrakeAccel, enginePower, vTop });
-        if(sim && sim.time < bestTime){ candidate = sm; bestTime = sim.time; bestSim = sim; improved=true; setRacingLine(candidate); setLapTime(bestTime); }
-      }
-      setOptProgress((it+1)/iterations);
-      if(!improved && it>30) break; // early stop
-      // allow UI update
-      await new Promise(r => setTimeout(r, 20));
+  // ---------- Lap analysis table ----------
+  function segmentRows(){
+    if(!lapAnalysis) return [];
+    const rows = lapAnalysis.corners.map(c=>({ id: `T${c.number}`, kind: 'corner', lap: c.startIndex, dir: c.dir, minSpeed: c.minSpeed, brakingDistance: c.brakingDistance, length: c.length, time: c.time, delta: c.delta }))
+      .concat(lapAnalysis.straights.map(s=>({ id: `S${s.number}`, kind: 'straight', lap: s.startIndex, dir: '', minSpeed: null, maxSpeed: s.maxSpeed, brakingDistance: null, length: s.length, time: s.time, delta: s.delta })));
+    const { key, asc } = segmentSort; const val = r => r[key]===null || r[key]===undefined ? -Infinity : r[key];
+    return rows.sort((a,b)=> (val(a) > val(b) ? 1 : val(a) < val(b) ? -1 : 0) * (asc ? 1 : -1));
+  }
+  function sortSegments(key){ setSegmentSort(s=> ({ key, asc: s.key===key ? !s.asc : true })); }
+
+  // ---------- Setup sweep & sensitivity ----------
+  function runSweep(){
+    if(!track || racingLine.length!==track.stations.length) return alert('Build the track (and ideally optimize the line) first');
+    if(sweepWorkerRef.current) return;
+    const values = s => linspace(s.from, s.to, Math.max(1, Math.round(s.steps))).filter(v=> v>0);
+    const sweep = { paramA: sweepA.param, valuesA: values(sweepA), paramB: sweepB.param || null, valuesB: sweepB.param ? values(sweepB) : [null] };
+    if(!sweep.valuesA.length || !sweep.valuesB.length) return alert('Sweep ranges must contain positive values');
+    const setup = kartSetup(); const baseline = simulateLap(racingLine, setup).time;
+    setSweepRunning(true); setSweepProgress(0);
+    const worker = new Worker(new URL('./setupSweep.worker.js', import.meta.url)); sweepWorkerRef.current = worker;
+    const finish = () => { worker.terminate(); sweepWorkerRef.current = null; setSweepRunning(false); };
+    worker.onmessage = (e) => { const msg = e.data;
+      if(msg.type==='progress') return setSweepProgress(msg.progress);
+      setSweepResult({ ...msg.result, sensitivities: msg.sensitivities, baseline, reoptimize: sweepReoptimize }); setSweepProgress(1); finish();
+    };
+    worker.onerror = (err) => { finish(); alert('Sweep failed: ' + err.message); };
+    worker.postMessage({ track, line: racingLine, setup, sweep, params: sweepParams.map(p=>p.key),
+      options: { reoptimize: sweepReoptimize, optimizer: { iterations: sweepIterations, seed: optSeed, margin: lineMargin/pxToMeter } } });
+  }
+  function cancelSweep(){ if(!sweepWorkerRef.current) return; sweepWorkerRef.current.terminate(); sweepWorkerRef.current = null; setSweepRunning(false); }
+
+  function paramInfo(key){ return sweepParams.find(p=>p.key===key); }
+  function pickSweepParam(setter, key){ // default range: current value +-20%
+    if(!key) return setter(s=>({ ...s, param: '' }));
+    const v = kartSetup()[key]; setter(s=>({ ...s, param: key, from: +(v*0.8).toPrecision(3), to: +(v*1.2).toPrecision(3) }));
+  }
+
+  function drawHeatmap(){
+    const canvas = heatmapRef.current; if(!canvas) return; const ctx = canvas.getContext('2d'); ctx.clearRect(0,0,canvas.width,canvas.height);
+    const r = sweepResult; if(!r || !r.paramB) return;
+    const W=canvas.width, H=canvas.height, padL=60, padB=30, cw=(W-padL)/r.valuesB.length, ch=(H-padB)/r.valuesA.length;
+    const times = r.rows.map(x=>x.time), tmin = Math.min(...times), tmax = Math.max(...times);
+    ctx.font='11px sans-serif'; ctx.textAlign='center';
+    r.rows.forEach((row,k)=>{ const i = Math.floor(k/r.valuesB.length), j = k%r.valuesB.length; const f = (row.time-tmin)/((tmax-tmin)||1);
+      ctx.fillStyle = `hsl(${120*(1-f)},70%,55%)`; ctx.fillRect(padL+j*cw, i*ch, cw-1, ch-1); // green = fastest
+      ctx.fillStyle='#000'; ctx.fillText(row.time.toFixed(2), padL+j*cw+cw/2, i*ch+ch/2+4); });
+    ctx.fillStyle='#333';
+    r.valuesA.forEach((v,i)=> { ctx.textAlign='right'; ctx.fillText(+v.toPrecision(4), padL-4, i*ch+ch/2+4); });
+    r.valuesB.forEach((v,j)=> { ctx.textAlign='center'; ctx.fillText(+v.toPrecision(4), padL+j*cw+cw/2, H-padB+14); });
+    ctx.textAlign='left'; ctx.fillText(`${paramInfo(r.paramA).label} ↓  ${paramInfo(r.paramB).label} →`, 4, H-4);
+  }
+
+  function exportSweepCSV(){
+    const r = sweepResult; if(!r) return alert('Run a sweep first');
+    let csv = `${r.paramA},${r.paramB || ''},lap_time_s,delta_vs_current_s\n`;
+    for(const row of r.rows) csv += `${row.a},${row.b===null ? '' : row.b},${row.time.toFixed(4)},${(row.time-r.baseline).toFixed(4)}\n`;
+    csv += '\nparameter,step,dlap_s_per_unit\n';
+    for(const s of r.sensitivities) csv += `${s.param},${s.step.toPrecision(4)},${s.perUnit.toExponential(4)}\n`;
+    downloadFile(csv, 'text/csv', 'setup_sweep.csv');
+  }
+
+  // ---------- Geo-referencing ----------
+  function geoAddPoint(p){
+    const txt = prompt('Latitude, longitude of this point in decimal degrees (e.g. 45.61234, 9.28123):'); if(!txt) return;
+    const [lat, lon] = txt.split(/[,;\s]+/).map(parseFloat);
+    if(!isFinite(lat) || !isFinite(lon) || Math.abs(lat)>90 || Math.abs(lon)>180) return alert('Could not read a latitude/longitude pair');
+    setGeoPoints(prev=>[...prev, { x: p.x, y: p.y, lat, lon }]);
+  }
+
+  async function onGeoTrackUpload(e){
+    // GPX/KML outline -> edges. Two or more lines are taken as the two edges; a single line is a centreline widened by a prompted width.
+    const f = e.target.files[0]; e.target.value=''; if(!f) return;
+    const text = await f.text();
+    const lines = /<kml[\s>]/i.test(text) ? parseKml(text) : parseGpx(text);
+    if(!lines.length) return alert('No track lines found in ' + f.name);
+    const t = geoTransform || fitGeoToCanvas(lines.flat(), width, height);
+    const toPx = line => line.map(ll=> latLonToPixel(t, ll));
+    let edges;
+    if(lines.length>=2) edges = [toPx(lines[0]), toPx(lines[1])];
+    else {
+      const w = parseFloat(prompt('The file has a single line. Track width in metres to build the edges from it:', '8')); if(!(w>0)) return;
+      const c = toPx(lines[0]), half = (w/2)/t.mPerPx;
+      const side = sgn => c.map((p,i)=>{ const a=c[Math.max(0,i-1)], b=c[Math.min(c.length-1,i+1)]; const len=Math.hypot(b.x-a.x,b.y-a.y)||1; return { x: p.x - sgn*half*(b.y-a.y)/len, y: p.y + sgn*half*(b.x-a.x)/len }; });
+      edges = [side(-1), side(1)];
     }
+    if(!geoTransform){ setGeoTransform(t); setPxToMeter(t.mPerPx); }
+    pushHistory(); setLeftPoints(edges[0]); setRightPoints(edges[1]); setTrack(null); setCenterline([]); setRacingLine([]); setLapTime(null);
+  }
 
-    setOptimizing(false); setOptProgress(1); setCenterline(path); setRacingLine(candidate); setLapTime(bestTime);
+  // ---------- Track conditions ----------
+  function paintAt(p){
+    const value = paintLayer==='grip' ? Math.max(0.05, paintValues.grip) : paintValues[paintLayer];
+    setConditions(c=>{ const list = c[paintLayer], last = list[list.length-1];
+      if(last && last.value===value && last.r===brushRadius && distance(last, p) < brushRadius/3) return c; // keep strokes sparse
+      return { ...c, [paintLayer]: [...list, { x: p.x, y: p.y, r: brushRadius, value }] }; });
   }
+  function clearLayer(layer){ setConditions(c=>({ ...c, [layer]: [] })); }
 
-  // ---------- Export functions ----------
-  function exportCSV(){ if(!racingLine || racingLine.length===0) return alert('No racing line'); const sim=simulateLap(racingLine,{pxToMeter, tyreMu, maxBrakeAccel, enginePower, vTop}); let csv='index,x_px,y_px,speed_mps
-'; for(let i=0;i<racingLine.length;i++){ csv += `${i},${racingLine[i].x.toFixed(3)},${racingLine[i].y.toFixed(3)},${(sim?sim.speedProfile[i].toFixed(3):'')}
-`; } const blob=new Blob([csv],{type:'text/csv'}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download='racing_line_telemetry.csv'; a.click(); URL.revokeObjectURL(url); }
-
-  function exportSVG(){ if(!racingLine || racingLine.length===0) return alert('No racing line'); const svgParts=[]; svgParts.push(`<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"${width}\" height=\"${height}\">`);
-    // background image if exists
-    if(imageURL) svgParts.push(`<image href=\"${imageURL}\" x=\"0\" y=\"0\" width=\"${width}\" height=\"${height}\" />`);
-    svgParts.push(`<polyline points=\"${leftPoints.map(p=>`${p.x},${p.y}`).join(' ')}\" stroke=\"#d9534f\" fill=\"none\" stroke-width=3 />`);
-    svgParts.push(`<polyline points=\"${rightPoints.map(p=>`${p.x},${p.y}`).join(' ')}\" stroke=\"#0275d8\" fill=\"none\" stroke-width=3 />`);
-    svgParts.push(`<polyline points=\"${racingLine.map(p=>`${p.x},${p.y}`).join(' ')}\" stroke=\"#2ca02c\" fill=\"none\" stroke-width=3 />`);
-    svgParts.push(`</svg>`);
-    const blob=new Blob([svgParts.join('
-')],{type:'image/svg+xml'}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download='racing_line.svg'; a.click(); URL.revokeObjectURL(url);
-  }
-
-  function exportGPX(){ // approximate GPX using racing line coordinates and converting px -> meters relative positions
-    if(!racingLine || racingLine.length===0) return alert('No racing line'); // we will create relative lat/lon by projecting origin to some lat/lon (0,0) - user can shift later
-    const gpxParts=['<?xml version=\"1.0\" encoding=\"UTF-8\"?>','<gpx version=\"1.1\" creator=\"GoKartLineFinder\">','<trk><name>Racing Line</name><trkseg>'];
-    for(let p of racingLine){ // create fake lat/lon by mapping x->lon, y->lat scaling by small factor
-      const lat = (p.y*pxToMeter)/111320; const lon = (p.x*pxToMeter)/(40075000*Math.cos(0)/360); gpxParts.push(`<trkpt lat=\"${lat}\" lon=\"${lon}\"></trkpt>`); }
-    gpxParts.push('</trkseg></trk>','</gpx>'); const blob=new Blob([gpxParts.join('
-')],{type:'application/gpx+xml'}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download='racing_line.gpx'; a.click(); URL.revokeObjectURL(url);
+  function setWeather(wet){ // keeps the current line as a reference so dry and wet lines can be compared
+    const scale = wet ? WET_GRIP : 1; if(scale===conditions.gripScale) return;
+    if(track && racingLine.length===track.stations.length) setReferenceLine({ name: conditions.gripScale===1 ? 'Dry line' : 'Wet line', points: racingLine });
+    setConditions(c=>({ ...c, gripScale: scale }));
+  }
+
+  async function onElevationUpload(e){ // GPX <ele> fixes placed on the track through the geo-reference
+    const f = e.target.files[0]; e.target.value=''; if(!f) return;
+    if(!geoTransform) return alert('Geo-reference the track first: pin lat/lon points or load a GPX/KML outline');
+    const fixes = parseGpx(await f.text()).flat().filter(p=> p.ele!==null);
+    if(!fixes.length) return alert('No elevation (<ele>) found in ' + f.name);
+    const r = 3/geoTransform.mPerPx; // each fix sets ~3 m of track either side
+    setConditions(c=>({ ...c, elevation: fixes.map(ll=>({ ...latLonToPixel(geoTransform, ll), r, value: ll.ele })) }));
+    setPaintLayer('elevation');
+  }
+
+  function conditionSummary(){
+    if(!track) return 'Build the track to map elevation and banking onto it.';
+    const { elevation, banking } = trackConditions(track, conditions), parts = [];
+    if(elevation){ let steep = 0; const ds = track.spacing*pxToMeter; elevation.forEach((z,i)=>{ steep = Math.max(steep, Math.abs(elevation[(i+1)%elevation.length]-z)/ds); });
+      parts.push(`elevation ${Math.min(...elevation).toFixed(1)}–${Math.max(...elevation).toFixed(1)} m, steepest grade ${(steep*100).toFixed(1)}%`); }
+    if(banking) parts.push(`banking ${Math.min(...banking).toFixed(0)}° to ${Math.max(...banking).toFixed(0)}°`);
+    return parts.length ? parts.join('; ') : 'Flat track (no elevation or banking painted).';
+  }
+  function referenceTimes(){ // both lines simulated in the current conditions
+    if(!referenceLine || !track || referenceLine.points.length!==track.stations.length || racingLine.length!==track.stations.length) return null;
+    const setup = kartSetup(); return { reference: simulateLap(referenceLine.points, setup).time, current: simulateLap(racingLine, setup).time };
   }
 
+  // ---------- Project save / load ----------
+  function projectSnapshot(){
+    return { format: PROJECT_FORMAT, version: PROJECT_VERSION, name: projectName, savedAt: new Date().toISOString(), image: imageURL,
+      track: { leftPoints, rightPoints, startPoint, direction },
+      calibration: { pxToMeter, geoPoints, geoKind, geoTransform },
+      kart: { kartMass, enginePower, maxBrakeAccel, tyreMu, vTop, dragArea, rollingResistance },
+      optimizer: { iterations: optIterations, seed: optSeed, margin: lineMargin },
+      conditions,
+      lines: { centerline, racingLine } };
+  }
+
+  function applyProject(p){
+    setProjectName(p.name); setImageURL(p.image); setTraceInfo(null); setLapTime(null); setSelection(null); resetHistory();
+    setLeftPoints(p.track.leftPoints); setRightPoints(p.track.rightPoints); setStartPoint(p.track.startPoint); setDirection(p.track.direction);
+    setPxToMeter(p.calibration.pxToMeter); setGeoKind(p.calibration.geoKind); setGeoPoints(p.calibration.geoPoints); setGeoTransform(p.calibration.geoTransform);
+    const k = p.kart; setKartMass(k.kartMass); setEnginePower(k.enginePower); setMaxBrakeAccel(k.maxBrakeAccel); setTyreMu(k.tyreMu); setVTop(k.vTop); setDragArea(k.dragArea); setRollingResistance(k.rollingResistance);
+    setOptIterations(p.optimizer.iterations); setOptSeed(p.optimizer.seed); setLineMargin(p.optimizer.margin);
+    setConditions(p.conditions); setReferenceLine(null);
+    // the track model is rebuilt from the edges; saved lines are kept only while they still match its stations
+    let t = null; try { t = buildTrackModel(p.track.leftPoints, p.track.rightPoints, { startPoint: p.track.startPoint, direction: p.track.direction }); } catch(err){ /* edges not closed yet */ }
+    setTrack(t);
+    if(t){ const center = trackLine(t); setCenterline(center); setRacingLine(p.lines.racingLine.length===t.stations.length ? p.lines.racingLine : center.slice()); }
+    else { setCenterline(p.lines.centerline); setRacingLine(p.lines.racingLine); }
+  }
+
+  function saveProjectFile(){ const p = projectSnapshot(); downloadFile(JSON.stringify(p), 'application/json', `${p.name.replace(/[^\w-]+/g,'_') || 'track'}.gokart.json`); }
+
+  async function onProjectUpload(e){
+    const f = e.target.files[0]; e.target.value=''; if(!f) return;
+    try { const p = parseProject(await f.text()); applyProject(p); setProjectId(`project-${Date.now()}`); }
+    catch(err){ alert(`Could not open ${f.name}: ${err.message}`); }
+  }
+
+  function refreshRecent(){ listStoredProjects().then(setRecentProjects).catch(()=> setRecentProjects([])); }
+  function openRecent(id){ loadStoredProject(id).then(p=>{ applyProject(p); setProjectId(id); }).catch(err=> alert('Could not open project: ' + err.message)); }
+  function deleteRecent(id){ deleteStoredProject(id).then(refreshRecent); }
+  function newProject(){ clearAll(); setProjectName('Untitled track'); setProjectId(`project-${Date.now()}`); setAutosaveStatus(''); }
+
   // ---------- UI actions ----------
-  function clearAll(){ setLeftPoints([]); setRightPoints([]); setCenterline([]); setRacingLine([]); setLapTime(null); setImageURL(null); }
+  function clearAll(){ pushHistory(); setSelection(null); setTraceInfo(null); setGeoPoints([]); setGeoTransform(null); setLeftPoints([]); setRightPoints([]); setTrack(null); setStartPoint(null); setCenterline([]); setRacingLine([]); setLapTime(null); setImageURL(null); setConditions(DEFAULT_CONDITIONS); setReferenceLine(null); }
 
   function calibrateAddPoint(e){ const p = toCanvasCoords(e); if(calibrationPoints.length<2) setCalibrationPoints(prev=>[...prev,p]); if(calibrationPoints.length===1){ // compute pxToMeter from known real distance (ask user)
       const px = distance(calibrationPoints[0], p); const known = prompt('Enter real-world distance between these two calibration points in meters (e.g. 10):'); if(known){ const val = parseFloat(known); if(!isNaN(val) && val>0){ setPxToMeter(val / px); alert('Calibration set: 1 px = ' + (val/px).toFixed(4) + ' m'); setCalibrationPoints([]); } }
     } }
 
+  const refTimes = referenceTimes(), simLength = simulatedLapLength();
   return (
     <div className="p-3 font-sans">
       <h1 className="text-2xl font-bold mb-2">Advanced GoKart Racing Line Finder</h1>
@@ -274,14 +658,82 @@ export default function AdvancedGoKartRacingLineFinder() {
             onMouseDown={(e)=>{ if(e.shiftKey) calibrateAddPoint(e); else handleMouseDown(e); }}
             onMouseMove={handleMouseMove}
             onMouseUp={handleMouseUp}
-            onMouseLeave={()=>setIsDrawing(false)}
+            onMouseLeave={handleMouseUp}
+            onDoubleClick={editDoubleClick}
           />
           <img ref={imgRef} src={imageURL || ''} alt="track" style={{display:'none'}} onLoad={()=>drawAll()} />
+
+          {lapAnalysis && <div className="mt-2 p-2 bg-gray-50 rounded" style={{maxWidth: width}}>
+            <div className="flex justify-between items-center">
+              <h3 className="font-semibold">Track analysis</h3>
+              <label className="text-sm"><input type="checkbox" checked={showCorners} onChange={e=>setShowCorners(e.target.checked)} /> Show corner markers</label>
+            </div>
+            <div className="text-xs text-gray-600">Markers: <span style={{color:'#d62728'}}>■</span> braking point, <span style={{color:'#ff7f0e'}}>●</span> turn-in, <span style={{color:'#1f77b4'}}>●</span> apex, <span style={{color:'#2ca02c'}}>●</span> exit. Δ is racing line minus centerline over the same stretch (negative = time gained). Click a column to sort.</div>
+            <table className="text-sm w-full mt-1">
+              <thead><tr>
+                {[['lap','#'],['dir','Turn'],['minSpeed','Min speed (km/h)'],['brakingDistance','Braking (m)'],['length','Length (m)'],['time','Time (s)'],['delta','Δ vs centerline (s)']].map(([key,label])=>(
+                  <th key={key} className="text-left cursor-pointer pr-2" onClick={()=>sortSegments(key)}>{label}{segmentSort.key===key ? (segmentSort.asc ? ' ▲' : ' ▼') : ''}</th>
+                ))}
+              </tr></thead>
+              <tbody>{segmentRows().map(r=>(
+                <tr key={r.id} className={r.kind==='straight' ? 'text-gray-500' : ''}>
+                  <td className="pr-2">{r.id}</td>
+                  <td className="pr-2">{r.kind==='corner' ? r.dir : 'straight'}</td>
+                  <td className="pr-2">{r.minSpeed!==null ? (r.minSpeed*3.6).toFixed(1) : `max ${(r.maxSpeed*3.6).toFixed(1)}`}</td>
+                  <td className="pr-2">{r.brakingDistance ? r.brakingDistance.toFixed(1) : '—'}</td>
+                  <td className="pr-2">{r.length.toFixed(0)}</td>
+                  <td className="pr-2">{r.time.toFixed(2)}</td>
+                  <td className="pr-2">{r.delta===null ? '—' : (r.delta>=0?'+':'') + r.delta.toFixed(2)}</td>
+                </tr>
+              ))}</tbody>
+            </table>
+          </div>}
+
+          <div className="mt-2 p-2 bg-gray-50 rounded" style={{maxWidth: width}}>
+            <h3 className="font-semibold">Telemetry comparison</h3>
+            <input type="file" accept=".csv,.txt" multiple onChange={onTelemetryUpload} />
+            <ul className="text-sm mt-1">
+              {telemetryLaps.map((l,i)=>{ const warning = lapLengthWarning(l, simLength); return (
+                <li key={i}>
+                  <label><input type="checkbox" checked={l.visible} onChange={()=>setTelemetryLaps(prev=>prev.map((p,j)=> j===i ? {...p, visible: !p.visible} : p))} /> {l.name} — {l.time.toFixed(2)} s, {Math.round(l.length)} m</label>
+                  {warning && <span className="ml-1 text-red-600">⚠ {warning}</span>}
+                  <button className="ml-2 px-1 bg-gray-200" onClick={()=>setTelemetryLaps(prev=>prev.filter((p,j)=>j!==i))}>×</button>
+                </li>
+              ); })}
+            </ul>
+            <canvas ref={speedChartRef} width={width} height={220} style={{width:'100%'}} />
+            <canvas ref={deltaChartRef} width={width} height={180} style={{width:'100%'}} />
+            <small className="text-gray-600">Logger laps (AiM/Alfano CSV) are split by lap number, beacon markers or time/distance resets (a continuous session is cut at the simulated lap length) and aligned to the simulated racing line by fraction of lap distance.</small>
+          </div>
         </div>
         <div style={{minWidth:320}}>
+          <div className="mb-2 p-2 bg-gray-50 rounded">
+            <h3 className="font-semibold">Project</h3>
+            <input type="text" value={projectName} onChange={e=>setProjectName(e.target.value)} style={{width:'100%'}} />
+            <div className="flex gap-2 mt-1">
+              <button className="p-1 bg-gray-200" onClick={newProject}>New</button>
+              <button className="p-1 bg-gray-200" onClick={saveProjectFile}>Save File</button>
+              <label className="p-1 bg-gray-200 cursor-pointer">Open File<input type="file" accept=".json" onChange={onProjectUpload} style={{display:'none'}} /></label>
+            </div>
+            {autosaveStatus && <div className="text-xs text-gray-600">{autosaveStatus}</div>}
+            {recentProjects.length>0 && <ul className="text-sm mt-1">
+              {recentProjects.map(r=>(
+                <li key={r.id}>
+                  <button className={`underline ${r.id===projectId ? 'font-semibold' : ''}`} onClick={()=>openRecent(r.id)}>{r.name}</button> <span className="text-xs text-gray-600">{new Date(r.savedAt).toLocaleString()}</span>
+                  <button className="ml-1 px-1 bg-gray-200" onClick={()=>deleteRecent(r.id)}>×</button>
+                </li>
+              ))}
+            </ul>}
+          </div>
+
           <div className="mb-2">
             <input type="file" accept="image/*" onChange={onImageUpload} />
-            <button className="ml-2 p-2 bg-gray-200" onClick={autoTraceEdges}>Auto-trace Edges</button>
+            <button className={`ml-2 p-2 ${mode==='seed'? 'bg-gray-400' : 'bg-gray-200'}`} onClick={()=>{ if(!imageURL) return alert('Load an image first'); setMode('seed'); }}>Auto-trace Edges</button>
+            <div className="text-xs text-gray-600 mt-1">
+              {mode==='seed' ? 'Click on the track surface to start tracing. ' : ''}
+              Colour tolerance: <input type="number" value={traceTolerance} min="0" onChange={e=>setTraceTolerance(Math.max(0, parseFloat(e.target.value)||0))} style={{width:60}} /> (0 = auto)
+            </div>
+            {traceInfo && <div className="text-sm">Auto-trace confidence: <strong>{Math.round(traceInfo.confidence*100)}%</strong> <span className="text-gray-600">({traceInfo.notes.join('; ')})</span></div>}
           </div>
 
           <div className="mb-2">
@@ -289,9 +741,38 @@ export default function AdvancedGoKartRacingLineFinder() {
             <div className="flex gap-2 mt-1">
               <button className={`p-2 rounded ${mode==='left'? 'bg-red-200' : 'bg-gray-100'}`} onClick={()=>setMode('left')}>Draw Left Edge</button>
               <button className={`p-2 rounded ${mode==='right'? 'bg-blue-200' : 'bg-gray-100'}`} onClick={()=>setMode('right')}>Draw Right Edge</button>
-              <button className="p-2 bg-yellow-200 rounded" onClick={computeCenterlineFromEdges}>Compute Centerline</button>
+              <button className={`p-2 rounded ${mode==='start'? 'bg-gray-400' : 'bg-gray-100'}`} onClick={()=>setMode('start')}>Place Start/Finish</button>
+            </div>
+            <div className="flex gap-2 mt-1 items-center">
+              <button className={`p-2 rounded ${mode==='edit'? 'bg-orange-200' : 'bg-gray-100'}`} onClick={()=>setMode('edit')}>Edit Vertices</button>
+              <button className="p-2 bg-gray-100 rounded" onClick={undo} disabled={!undoRef.current.length}>Undo</button>
+              <button className="p-2 bg-gray-100 rounded" onClick={redo} disabled={!redoRef.current.length}>Redo</button>
             </div>
-            <small className="text-gray-600">Hold <b>Shift</b> and click two points on the canvas to calibrate scale (then enter real-world distance).</small>
+            {mode==='edit' && <div className="text-xs text-gray-600 mt-1">
+              Drag a vertex to move it (Ctrl+click adds to the selection), drag on empty canvas to box-select, double-click a segment to insert, Delete removes.
+              <div className="flex gap-2 mt-1 items-center">
+                <button className="p-1 bg-gray-100" onClick={deleteSelected} disabled={!selection}>Delete</button>
+                <button className="p-1 bg-gray-100" onClick={()=>smoothSelected()} disabled={!selection}>Smooth</button>
+                <button className="p-1 bg-gray-100" onClick={simplifyEdges}>Simplify</button>
+                tolerance <input type="number" value={simplifyTol} step="0.5" onChange={e=>setSimplifyTol(Math.max(0.1, parseFloat(e.target.value)||simplifyTol))} style={{width:50}} /> px
+              </div>
+            </div>}
+            <div className="flex gap-2 mt-1">
+              <button className="p-2 bg-gray-100 rounded" onClick={()=>setDirection(d=> d==='cw' ? 'ccw' : 'cw')}>Direction: {direction==='cw' ? 'clockwise ↻' : 'counter-clockwise ↺'}</button>
+              <button className="p-2 bg-yellow-200 rounded" onClick={buildTrack}>Build Track</button>
+            </div>
+            {track && <div className="text-sm text-gray-600">Track: {track.stations.length} stations, width {(Math.min(...track.stations.map(q=>q.max-q.min))*pxToMeter).toFixed(1)}–{(Math.max(...track.stations.map(q=>q.max-q.min))*pxToMeter).toFixed(1)} m</div>}
+            <div className="p-2 mt-1 bg-gray-50 rounded">
+              <h3 className="font-semibold">Geo-reference</h3>
+              <div className="flex gap-2 items-center">
+                <button className={`p-2 rounded ${mode==='geo'? 'bg-purple-300' : 'bg-gray-100'}`} onClick={()=>setMode('geo')}>Pin Lat/Lon</button>
+                <select value={geoKind} onChange={e=>setGeoKind(e.target.value)}><option value="similarity">Similarity</option><option value="affine">Affine</option></select>
+                <button className="p-2 bg-gray-100 rounded" onClick={()=>{ setGeoPoints([]); setGeoTransform(null); }}>Clear pins</button>
+              </div>
+              <div className="text-sm text-gray-600">{geoTransform ? `Fit: ${geoTransform.kind}, RMS residual ${geoTransform.rms.toFixed(2)} m, 1 px = ${geoTransform.mPerPx.toFixed(4)} m` : `${geoPoints.length} control point(s); pin at least three image points to real lat/lon.`}</div>
+              <label className="block text-sm mt-1">Load track outline (GPX/KML): <input type="file" accept=".gpx,.kml" onChange={onGeoTrackUpload} /></label>
+            </div>
+            <small className="text-gray-600">Draw both edges as closed loops. Hold <b>Shift</b> and click two points on the canvas to calibrate scale (then enter real-world distance).</small>
           </div>
 
           <div className="p-2 bg-gray-50 rounded mb-2">
@@ -304,13 +785,41 @@ export default function AdvancedGoKartRacingLineFinder() {
             <input type="number" value={vTop} onChange={e=>setVTop(parseFloat(e.target.value)||vTop)} />
             <label className="block">Brake decel (m/s²)</label>
             <input type="number" value={maxBrakeAccel} onChange={e=>setMaxBrakeAccel(parseFloat(e.target.value)||maxBrakeAccel)} />
-            <label className="block">Tire μ (lateral)</label>
+            <label className="block">Tire μ (grip)</label>
             <input type="number" value={tyreMu} step="0.1" onChange={e=>setTyreMu(parseFloat(e.target.value)||tyreMu)} />
+            <label className="block">Drag area CdA (m²)</label>
+            <input type="number" value={dragArea} step="0.05" onChange={e=>setDragArea(parseFloat(e.target.value)||dragArea)} />
+            <label className="block">Rolling resistance Crr</label>
+            <input type="number" value={rollingResistance} step="0.005" onChange={e=>setRollingResistance(parseFloat(e.target.value)||rollingResistance)} />
+          </div>
+
+          <div className="p-2 bg-gray-50 rounded mb-2">
+            <h3 className="font-semibold">Track conditions</h3>
+            <div className="flex gap-2 items-center text-sm">
+              <button className={`p-1 rounded ${conditions.gripScale===1 ? 'bg-yellow-200' : 'bg-gray-100'}`} onClick={()=>setWeather(false)}>Dry</button>
+              <button className={`p-1 rounded ${conditions.gripScale===WET_GRIP ? 'bg-blue-200' : 'bg-gray-100'}`} onClick={()=>setWeather(true)}>Wet (grip ×{WET_GRIP})</button>
+              Grip scale <input type="number" value={conditions.gripScale} step="0.05" onChange={e=>{ const v = parseFloat(e.target.value); if(v>0) setConditions(c=>({ ...c, gripScale: v })); }} style={{width:60}} />
+            </div>
+            <div className="flex gap-2 items-center mt-1 text-sm">
+              <button className={`p-1 rounded ${mode==='paint' ? 'bg-teal-200' : 'bg-gray-100'}`} onClick={()=>setMode('paint')}>Paint</button>
+              <select value={paintLayer} onChange={e=>setPaintLayer(e.target.value)}><option value="grip">Grip ×</option><option value="elevation">Elevation (m)</option><option value="banking">Banking (°)</option></select>
+              <input type="number" value={paintValues[paintLayer]} step={paintLayer==='grip' ? 0.05 : 0.5} onChange={e=>{ const v = parseFloat(e.target.value); if(!isNaN(v)) setPaintValues(pv=>({ ...pv, [paintLayer]: v })); }} style={{width:60}} />
+              brush <input type="number" value={brushRadius} min="2" onChange={e=>setBrushRadius(Math.max(2, parseFloat(e.target.value)||brushRadius))} style={{width:50}} /> px
+              <button className="p-1 bg-gray-100" onClick={()=>clearLayer(paintLayer)} disabled={!conditions[paintLayer].length}>Clear layer</button>
+            </div>
+            <label className="block text-sm mt-1">Elevation from GPX: <input type="file" accept=".gpx" onChange={onElevationUpload} /></label>
+            <div className="text-xs text-gray-600">{conditionSummary()} Grip below 1 shows blue (wet patch, dust), above 1 green (rubbered-in line). Banking is positive when banked into the corner.</div>
+            {referenceLine && <div className="text-sm mt-1">
+              <span style={{color:'#17becf'}}>┅</span> {referenceLine.name}{refTimes ? ` in these conditions: ${refTimes.reference.toFixed(2)} s vs current line ${refTimes.current.toFixed(2)} s` : ' (track changed)'}
+              <button className="ml-2 px-1 bg-gray-200" onClick={()=>setReferenceLine(null)}>×</button>
+            </div>}
           </div>
 
           <div className="flex gap-2 mb-2">
-            <button className="p-2 bg-green-300 rounded" onClick={()=>optimizeRacingLine(optIterations)} disabled={optimizing}>Optimize Line</button>
-            <button className="p-2 bg-blue-300 rounded" onClick={()=>{ const sim=simulateLap(racingLine,{pxToMeter, tyreMu, maxBrakeAccel, enginePower, vTop}); if(sim) setLapTime(sim.time); else alert('No racing line'); }}>Simulate Lap</button>
+            {optimizing
+              ? <button className="p-2 bg-red-300 rounded" onClick={cancelOptimizer}>Cancel</button>
+              : <button className="p-2 bg-green-300 rounded" onClick={optimizeRacingLine}>Optimize Line</button>}
+            <button className="p-2 bg-blue-300 rounded" onClick={()=>{ const sim=simulateLap(racingLine,kartSetup()); if(sim) setLapTime(sim.time); else alert('No racing line'); }}>Simulate Lap</button>
             <button className="p-2 bg-gray-200 rounded" onClick={clearAll}>Clear</button>
           </div>
 
@@ -323,19 +832,79 @@ export default function AdvancedGoKartRacingLineFinder() {
               <div>
                 <button className="p-1 bg-gray-100 mr-1" onClick={exportCSV}>Export CSV</button>
                 <button className="p-1 bg-gray-100 mr-1" onClick={exportSVG}>Export SVG</button>
-                <button className="p-1 bg-gray-100" onClick={exportGPX}>Export GPX</button>
+                <button className="p-1 bg-gray-100 mr-1" onClick={exportGPX}>Export GPX</button>
+                <button className="p-1 bg-gray-100 mr-1" onClick={exportKML}>Export KML</button>
+                <button className="p-1 bg-gray-100" onClick={exportGeoJSON}>Export GeoJSON</button>
+              </div>
+            </div>
+            <div className="mt-2 text-xs text-gray-600">Optimizer iterations: <input type="number" value={optIterations} onChange={e=>setOptIterations(parseInt(e.target.value)||optIterations)} style={{width:80}} /> Seed: <input type="number" value={optSeed} onChange={e=>setOptSeed(parseInt(e.target.value)||optSeed)} style={{width:60}} /> Edge margin (m): <input type="number" value={lineMargin} step="0.1" onChange={e=>setLineMargin(Math.max(0, parseFloat(e.target.value)||0))} style={{width:60}} /> — Progress: {Math.round(optProgress*100)}%{optimizing ? ` (${optPhase})` : ''}</div>
+          </div>
+
+          <div className="mb-2 p-2 bg-gray-50 rounded">
+            <h3 className="font-semibold">Lap playback</h3>
+            <div className="flex gap-2 items-center text-sm">
+              <button className="p-1 bg-green-200" onClick={togglePlayback} disabled={!lapTrace || optimizing}>{playing ? 'Pause' : 'Play'}</button>
+              <button className="p-1 bg-gray-100" onClick={()=>setPlayTime(0)} disabled={playTime===null}>Restart</button>
+              <button className="p-1 bg-gray-100" onClick={stopPlayback} disabled={playTime===null}>Stop</button>
+              <select value={playRate} onChange={e=>setPlayRate(parseFloat(e.target.value))}>{[0.25,0.5,1,2,4].map(r=> <option key={r} value={r}>{r===1 ? 'real time' : `${r}×`}</option>)}</select>
+              <label><input type="checkbox" checked={showGhost} onChange={e=>setShowGhost(e.target.checked)} /> Centerline ghost</label>
+            </div>
+            <div className="text-sm mt-1">Colour racing line by: <select value={lineColoring} onChange={e=>setLineColoring(e.target.value)}>
+              <option value="speed">speed</option><option value="phase">braking / throttle</option><option value="plain">none</option>
+            </select></div>
+            {lapTrace && lineColoring==='speed' && <div className="flex items-center gap-2 text-xs mt-1">
+              <span>{(Math.min(...lapTrace.sim.speedProfile)*3.6).toFixed(0)} km/h</span>
+              <span style={{flex:1, height:10, background:`linear-gradient(to right, ${speedColor(0,0,1)}, ${speedColor(0.5,0,1)}, ${speedColor(1,0,1)})`}} />
+              <span>{(Math.max(...lapTrace.sim.speedProfile)*3.6).toFixed(0)} km/h</span>
+            </div>}
+            {lapTrace && lineColoring==='phase' && <div className="text-xs mt-1">
+              <span style={{color:phaseColors.brake}}>■</span> braking, <span style={{color:phaseColors.throttle}}>■</span> throttle (power or top speed), <span style={{color:phaseColors.grip}}>■</span> cornering at the grip limit
+            </div>}
+            <div className="text-xs text-gray-600 mt-1">The yellow kart drives the racing line{showGhost ? ', the grey ghost the centerline' : ''}; Δ CL is the time against the centerline at the same point of the lap.</div>
+          </div>
+
+          <div className="mb-2 p-2 bg-gray-50 rounded">
+            <h3 className="font-semibold">Setup sweep</h3>
+            {[[sweepA, setSweepA, 'Parameter A'], [sweepB, setSweepB, 'Parameter B']].map(([sw, setter, label], k)=>(
+              <div key={k} className="text-sm mt-1">
+                {label}: <select value={sw.param} onChange={e=>pickSweepParam(setter, e.target.value)}>
+                  {k===1 && <option value="">(none)</option>}
+                  {sweepParams.filter(p=> k===0 || p.key!==sweepA.param).map(p=> <option key={p.key} value={p.key}>{p.label}</option>)}
+                </select>
+                {sw.param && <span> from <input type="number" value={sw.from} onChange={e=>{ const v=parseFloat(e.target.value); setter(s=>({ ...s, from: isNaN(v) ? s.from : v })); }} style={{width:70}} /> to <input type="number" value={sw.to} onChange={e=>{ const v=parseFloat(e.target.value); setter(s=>({ ...s, to: isNaN(v) ? s.to : v })); }} style={{width:70}} /> steps <input type="number" value={sw.steps} min="1" onChange={e=>setter(s=>({ ...s, steps: Math.max(1, parseInt(e.target.value)||s.steps) }))} style={{width:45}} /></span>}
               </div>
+            ))}
+            <div className="text-sm mt-1">
+              <label><input type="checkbox" checked={sweepReoptimize} onChange={e=>setSweepReoptimize(e.target.checked)} /> Re-optimize line per setup</label>
+              {sweepReoptimize && <span> (<input type="number" value={sweepIterations} onChange={e=>setSweepIterations(parseInt(e.target.value)||sweepIterations)} style={{width:50}} /> iterations)</span>}
+            </div>
+            <div className="flex gap-2 mt-1 items-center">
+              {sweepRunning
+                ? <button className="p-1 bg-red-300" onClick={cancelSweep}>Cancel</button>
+                : <button className="p-1 bg-green-200" onClick={runSweep}>Run Sweep</button>}
+              <button className="p-1 bg-gray-100" onClick={exportSweepCSV} disabled={!sweepResult}>Export CSV</button>
+              {sweepRunning && <span className="text-xs">{Math.round(sweepProgress*100)}%</span>}
             </div>
-            <div className="mt-2 text-xs text-gray-600">Optimizer iterations: <input type="number" value={optIterations} onChange={e=>setOptIterations(parseInt(e.target.value)||optIterations)} style={{width:80}} /> — Progress: {Math.round(optProgress*100)}%</div>
+            {sweepResult && <div className="text-sm mt-1">
+              {!sweepResult.paramB && <table className="text-xs">
+                <thead><tr><th className="pr-2 text-left">{paramInfo(sweepResult.paramA).label}</th><th className="pr-2">Lap (s)</th><th>Δ vs current (s)</th></tr></thead>
+                <tbody>{sweepResult.rows.map((r,i)=>(<tr key={i}><td className="pr-2">{+r.a.toPrecision(4)}</td><td className="pr-2">{r.time.toFixed(3)}</td><td>{(r.time-sweepResult.baseline>=0?'+':'')+(r.time-sweepResult.baseline).toFixed(3)}</td></tr>))}</tbody>
+              </table>}
+              <div className="mt-1">Fastest: {paramInfo(sweepResult.paramA).label} {+sweepResult.best.a.toPrecision(4)}{sweepResult.paramB && <span>, {paramInfo(sweepResult.paramB).label} {+sweepResult.best.b.toPrecision(4)}</span>} → {sweepResult.best.time.toFixed(3)} s</div>
+              <div className="font-semibold mt-1">Sensitivity (Δ lap time{sweepResult.reoptimize ? ', line re-optimized' : ', fixed line'})</div>
+              <ul className="text-xs">{sweepResult.sensitivities.map(s=>{ const p = paramInfo(s.param); const d = s.perUnit*p.per; return <li key={s.param}>{p.label}: {(d>=0?'+':'')+d.toFixed(3)} s per +{p.unit}</li>; })}</ul>
+            </div>}
+            <canvas ref={heatmapRef} width={320} height={220} style={{width:'100%', maxWidth:320, display: sweepResult && sweepResult.paramB ? 'block' : 'none'}} />
           </div>
 
           <div className="text-sm text-gray-700">
             <h4 className="font-semibold">Notes & tips</h4>
             <ul className="list-disc ml-5">
-              <li>Auto-trace is a heuristic: refine edges manually for better results.</li>
+              <li>Auto-trace grows the track surface from the point you click; raise the colour tolerance if it stops short, lower it if it leaks into the surroundings.</li>
               <li>Calibrate scale for realistic lap-time estimates (Shift+click two points).</li>
-              <li>Optimizer uses a fast hill-climb. For global optimum use more iterations or a genetic algorithm.</li>
-              <li>Exports are approximate — GPX uses a projection trick; align with real GPS if required.</li>
+              <li>Optimizer solves a minimum-curvature line, then refines it for lap time; the same seed gives the same line.</li>
+              <li>Painted grip, elevation and banking feed the simulation and the lap-time phase of the optimizer. Switch to Wet and re-optimize to compare with the dry line.</li>
+              <li>GPX, KML and GeoJSON exports are in WGS84 and need a geo-reference: pin three or more lat/lon control points, or load a GPX/KML outline.</li>
             </ul>
           </div>
 
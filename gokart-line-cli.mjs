@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Command-line batch tool: reads a saved project (or a flat track dump with leftPoints/rightPoints), builds the track,
+// optimizes the racing line for the project's track conditions and writes telemetry CSV, SVG and (when the project is
+// geo-referenced) GeoJSON.
+//   node gokart-line-cli.mjs track.json [--out dir] [--iterations 300] [--seed 1] [--margin 0.7] [--wet] [--no-optimize]
+// Needs Node 20.19+ (the core modules are plain .js ES modules).
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { buildTrackModel, simulateLap, trackLine, optimizeRacingLine, trackConditions, WET_GRIP, lapTelemetryCSV, trackSVG } from './racingLineCore.js';
+import { parseProject } from './project.js';
+import { fitGeoTransform, pixelToLatLon, writeGeoJson } from './geo.js';
+
+const USAGE = `Usage: gokart-line-cli <track.json> [options]
+  --out <dir>          output directory (default: next to the input)
+  --iterations <n>     minimum-time search iterations (default: project setting)
+  --seed <n>           optimizer seed (default: project setting)
+  --margin <m>         distance kept from the track edges in metres (default: project setting)
+  --wet                wet preset: scale grip by ${WET_GRIP} (overrides the project's grip scale)
+  --no-optimize        simulate the saved racing line (or the centerline) instead of optimizing
+  --width <px>         SVG width (default 1100)
+  --height <px>        SVG height (default 650)
+  -h, --help           show this help`;
+
+function number(value, name){ const v = Number(value); if(!isFinite(v)) throw new Error(`--${name} must be a number`); return v; }
+
+// ---------- GeoJSON ----------
+function geoFeatures(track, line, centerline, sim, t){
+  const ll = pts => pts.map(p=> pixelToLatLon(t, p)); const st = track.stations, sf = st[0];
+  return [
+    { points: ll(line), closed: true, properties: { name: 'Racing line', lapTime_s: +sim.time.toFixed(3), speed_mps: sim.speedProfile.map(v=>+v.toFixed(2)) } },
+    { points: ll(centerline), closed: true, properties: { name: 'Centerline' } },
+    { points: ll(trackLine(track, st.map(q=>q.min))), closed: true, properties: { name: 'Left edge' } },
+    { points: ll(trackLine(track, st.map(q=>q.max))), closed: true, properties: { name: 'Right edge' } },
+    { points: ll([sf.min, sf.max].map(o=>({ x: sf.x+sf.nx*o, y: sf.y+sf.ny*o }))), properties: { name: 'Start/Finish' } }
+  ];
+}
+
+function geoTransformOf(cal){
+  if(cal.geoTransform) return cal.geoTransform;
+  if(cal.geoPoints.length >= 3) return fitGeoTransform(cal.geoPoints, cal.geoKind);
+  return null;
+}
+
+// ---------- Main ----------
+async function main(argv){
+  const { values, positionals } = parseArgs({ args: argv, allowPositionals: true, options: {
+    out: { type: 'string' }, iterations: { type: 'string' }, seed: { type: 'string' }, margin: { type: 'string' },
+    wet: { type: 'boolean', default: false }, 'no-optimize': { type: 'boolean', default: false }, width: { type: 'string', default: '1100' }, height: { type: 'string', default: '650' },
+    help: { type: 'boolean', short: 'h', default: false }
+  } });
+  if(values.help){ console.log(USAGE); return; }
+  if(positionals.length!==1) throw new Error('Expected exactly one track/project JSON file\n' + USAGE);
+
+  const input = positionals[0];
+  const project = parseProject(await readFile(input, 'utf8'));
+  const { track: t, calibration: cal, kart, optimizer } = project;
+  const opts = {
+    iterations: values.iterations!==undefined ? number(values.iterations, 'iterations') : optimizer.iterations,
+    seed: values.seed!==undefined ? number(values.seed, 'seed') : optimizer.seed,
+    margin: (values.margin!==undefined ? number(values.margin, 'margin') : optimizer.margin)/cal.pxToMeter
+  };
+  const size = { width: number(values.width, 'width'), height: number(values.height, 'height') };
+  const track = buildTrackModel(t.leftPoints, t.rightPoints, { startPoint: t.startPoint, direction: t.direction });
+  const conditions = { ...project.conditions, gripScale: values.wet ? WET_GRIP : project.conditions.gripScale };
+  const setup = { pxToMeter: cal.pxToMeter, ...kart, conditions: trackConditions(track, conditions) };
+  const centerline = trackLine(track, null);
+  const centerSim = simulateLap(centerline, setup);
+  console.log(`${project.name}: ${track.stations.length} stations, grip x${conditions.gripScale}, centerline lap ${centerSim.time.toFixed(3)} s`);
+
+  let line;
+  if(values['no-optimize']){
+    line = project.lines.racingLine.length===track.stations.length ? project.lines.racingLine : centerline;
+  } else {
+    const res = optimizeRacingLine(track, setup, opts);
+    console.log(`minimum curvature ${res.curvatureTime.toFixed(3)} s, optimized ${res.time.toFixed(3)} s (seed ${opts.seed})`);
+    line = trackLine(track, res.offsets);
+  }
+  const sim = simulateLap(line, setup);
+  if(!sim) throw new Error('Lap simulation failed');
+
+  const dir = values.out || join(input, '..'), stem = basename(input, extname(input));
+  await mkdir(dir, { recursive: true });
+  const written = [];
+  const save = async (suffix, text) => { const f = join(dir, stem + suffix); await writeFile(f, text); written.push(f); };
+  await save('_telemetry.csv', lapTelemetryCSV(track, line, sim, cal.pxToMeter));
+  await save('.svg', trackSVG(track, line, { ...size, image: project.image }));
+  const geo = geoTransformOf(cal);
+  if(geo) await save('.geojson', writeGeoJson(geoFeatures(track, line, centerline, sim, geo)));
+  else console.log('no geo-reference in the project, skipping GeoJSON');
+  console.log(`lap ${sim.time.toFixed(3)} s, wrote ${written.join(', ')}`);
+}
+
+main(process.argv.slice(2)).catch(err=>{ console.error(`gokart-line-cli: ${err.message}`); process.exit(1); });
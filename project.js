@@ -0,0 +1,108 @@
+// Project files: a versioned JSON snapshot of the track, calibration, kart setup and lines, with the image embedded
+// as a data URL. parseProject migrates older files forward and validates them; the IndexedDB helpers back autosave
+// and the recent-projects list (localStorage only remembers which project was open last).
+
+export const PROJECT_FORMAT = 'gokart-line-finder-project';
+export const PROJECT_VERSION = 2;
+
+export const DEFAULT_KART = { kartMass: 160, enginePower: 8500, maxBrakeAccel: 7.5, tyreMu: 1.6, vTop: 22, dragArea: 0.5, rollingResistance: 0.015 };
+export const DEFAULT_OPTIMIZER = { iterations: 300, seed: 1, margin: 0.7 };
+export const DEFAULT_CONDITIONS = { gripScale: 1, grip: [], elevation: [], banking: [] };
+
+// migrations[v] upgrades a version-v project to version v+1
+const migrations = {
+  // unversioned dumps of the component state, with everything flat at the top level
+  0: p => ({
+    format: PROJECT_FORMAT, version: 1, name: p.name || 'Untitled track', savedAt: p.savedAt || new Date().toISOString(),
+    image: typeof p.imageURL==='string' && p.imageURL.startsWith('data:') ? p.imageURL : null,
+    track: { leftPoints: p.leftPoints || [], rightPoints: p.rightPoints || [], startPoint: null, direction: 'cw' },
+    calibration: { pxToMeter: p.pxToMeter || 0.2, geoPoints: [], geoKind: 'similarity', geoTransform: null },
+    kart: Object.fromEntries(Object.keys(DEFAULT_KART).map(k=> [k, typeof p[k]==='number' ? p[k] : DEFAULT_KART[k]])),
+    optimizer: { ...DEFAULT_OPTIMIZER },
+    lines: { centerline: p.centerline || [], racingLine: p.racingLine || [] }
+  }),
+  // v2 adds painted track conditions (grip, elevation, banking) and the dry/wet grip scale
+  1: p => ({ ...p, version: 2, conditions: { ...DEFAULT_CONDITIONS } })
+};
+
+export function migrateProject(raw){
+  if(!raw || typeof raw!=='object') throw new Error('Project file is empty');
+  if(raw.format && raw.format!==PROJECT_FORMAT) throw new Error(`Not a project file (format "${raw.format}")`);
+  let p = raw, v = raw.version===undefined ? 0 : raw.version;
+  if(!Number.isInteger(v) || v < 0) throw new Error(`Project version must be a whole number from 0 to ${PROJECT_VERSION} (got ${JSON.stringify(raw.version)})`);
+  if(v > PROJECT_VERSION) throw new Error(`Project was saved by a newer version of the app (v${v})`);
+  while(v < PROJECT_VERSION){ p = migrations[v](p); v = p.version; }
+  return p;
+}
+
+const isNum = v => typeof v==='number' && isFinite(v);
+const isPoint = p => p && isNum(p.x) && isNum(p.y);
+const isDab = d => isPoint(d) && isNum(d.r) && d.r>0 && isNum(d.value);
+
+// Returns a list of problems; empty when the project is usable.
+export function validateProject(p){
+  const errors = [];
+  const points = (arr, name) => { if(!Array.isArray(arr)) errors.push(`${name} must be an array`); else if(!arr.every(isPoint)) errors.push(`${name} has points without numeric x/y`); };
+  if(p.format!==PROJECT_FORMAT) errors.push('format is missing');
+  if(typeof p.name!=='string') errors.push('name must be a string');
+  if(p.image!==null && !(typeof p.image==='string' && p.image.startsWith('data:image/'))) errors.push('image must be an image data URL or null');
+  if(!p.track) errors.push('track is missing');
+  else {
+    points(p.track.leftPoints, 'track.leftPoints'); points(p.track.rightPoints, 'track.rightPoints');
+    if(p.track.startPoint!==null && !isPoint(p.track.startPoint)) errors.push('track.startPoint must be a point or null');
+    if(!['cw','ccw'].includes(p.track.direction)) errors.push('track.direction must be "cw" or "ccw"');
+  }
+  if(!p.calibration) errors.push('calibration is missing');
+  else {
+    if(!(isNum(p.calibration.pxToMeter) && p.calibration.pxToMeter>0)) errors.push('calibration.pxToMeter must be a positive number');
+    if(!Array.isArray(p.calibration.geoPoints) || !p.calibration.geoPoints.every(g=> isPoint(g) && isNum(g.lat) && isNum(g.lon))) errors.push('calibration.geoPoints must be points with lat/lon');
+    if(!['similarity','affine'].includes(p.calibration.geoKind)) errors.push('calibration.geoKind must be "similarity" or "affine"');
+    const t = p.calibration.geoTransform;
+    if(t!==null && !(t && t.origin && isNum(t.origin.lat) && isNum(t.origin.lon) && ['a','b','c','d','e','f','mPerPx'].every(k=>isNum(t[k])))) errors.push('calibration.geoTransform is malformed');
+  }
+  if(!p.kart) errors.push('kart is missing');
+  else for(const k of Object.keys(DEFAULT_KART)) if(!(isNum(p.kart[k]) && p.kart[k]>0)) errors.push(`kart.${k} must be a positive number`);
+  if(!p.optimizer || !isNum(p.optimizer.iterations) || !isNum(p.optimizer.seed) || !isNum(p.optimizer.margin)) errors.push('optimizer settings are missing');
+  if(!p.conditions) errors.push('conditions are missing');
+  else {
+    if(!(isNum(p.conditions.gripScale) && p.conditions.gripScale>0)) errors.push('conditions.gripScale must be a positive number');
+    for(const k of ['grip','elevation','banking']) if(!Array.isArray(p.conditions[k]) || !p.conditions[k].every(isDab)) errors.push(`conditions.${k} must be brush dabs with x, y, r and value`);
+    if(Array.isArray(p.conditions.grip) && p.conditions.grip.some(d=> !(d.value>0))) errors.push('conditions.grip values must be positive');
+  }
+  if(!p.lines) errors.push('lines are missing');
+  else { points(p.lines.centerline, 'lines.centerline'); points(p.lines.racingLine, 'lines.racingLine'); }
+  return errors;
+}
+
+export function parseProject(text){
+  let raw; try { raw = JSON.parse(text); } catch(err){ throw new Error('Project file is not valid JSON'); }
+  const p = migrateProject(raw);
+  const errors = validateProject(p);
+  if(errors.length) throw new Error('Invalid project: ' + errors.join('; '));
+  return p;
+}
+
+// ---------- IndexedDB store ----------
+const DB_NAME = 'gokart-line-finder', STORE = 'projects', LAST_KEY = 'gokart-line-finder:last-project';
+
+function openDb(){
+  return new Promise((resolve, reject)=>{
+    if(typeof indexedDB==='undefined') return reject(new Error('IndexedDB is not available'));
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error);
+  });
+}
+async function withStore(mode, fn){
+  const db = await openDb();
+  return new Promise((resolve, reject)=>{ const tx = db.transaction(STORE, mode); const req = fn(tx.objectStore(STORE)); tx.oncomplete = () => { db.close(); resolve(req && req.result); }; tx.onerror = () => { db.close(); reject(tx.error); }; });
+}
+
+export async function storeProject(id, project){ await withStore('readwrite', s=> s.put({ id, name: project.name, savedAt: project.savedAt, project })); try { localStorage.setItem(LAST_KEY, id); } catch(err){ /* private mode */ } }
+export async function loadStoredProject(id){ const rec = await withStore('readonly', s=> s.get(id)); if(!rec) throw new Error('Project not found'); return parseProject(JSON.stringify(rec.project)); }
+export async function deleteStoredProject(id){ await withStore('readwrite', s=> s.delete(id)); }
+export async function listStoredProjects(limit=10){
+  const all = await withStore('readonly', s=> s.getAll());
+  return (all || []).map(r=>({ id: r.id, name: r.name, savedAt: r.savedAt })).sort((a,b)=> b.savedAt.localeCompare(a.savedAt)).slice(0, limit);
+}
+export function lastProjectId(){ try { return localStorage.getItem(LAST_KEY); } catch(err){ return null; } }
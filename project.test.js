@@ -0,0 +1,65 @@
+import { PROJECT_FORMAT, PROJECT_VERSION, DEFAULT_KART, DEFAULT_CONDITIONS, migrateProject, validateProject, parseProject } from './project';
+
+const square = (x, y, s) => [{ x, y }, { x: x+s, y }, { x: x+s, y: y+s }, { x, y: y+s }];
+const flatDump = { leftPoints: square(0, 0, 100), rightPoints: square(20, 20, 60), pxToMeter: 0.25, kartMass: 170, centerline: [], racingLine: [] };
+
+describe('project migration', ()=>{
+  test('a flat unversioned dump becomes a current, valid project', ()=>{
+    const p = migrateProject(flatDump);
+    expect(p.format).toBe(PROJECT_FORMAT);
+    expect(p.version).toBe(PROJECT_VERSION);
+    expect(p.track.leftPoints).toEqual(flatDump.leftPoints);
+    expect(p.track.direction).toBe('cw');
+    expect(p.calibration.pxToMeter).toBe(0.25);
+    expect(p.kart).toEqual({ ...DEFAULT_KART, kartMass: 170 });
+    expect(p.image).toBeNull();
+    expect(validateProject(p)).toEqual([]);
+  });
+
+  test('rejects versions that are not whole numbers up to the current one', ()=>{
+    for(const version of [1.5, -1, '2', null]) expect(()=> migrateProject({ ...flatDump, version })).toThrow(/whole number/);
+    expect(()=> migrateProject({ ...flatDump, version: PROJECT_VERSION+1 })).toThrow(/newer version/);
+  });
+
+  test('rejects files in a foreign format', ()=>{
+    expect(()=> migrateProject({ format: 'something-else', version: 1 })).toThrow('Not a project file (format "something-else")');
+  });
+});
+
+describe('track conditions in projects', ()=>{
+  const current = migrateProject(flatDump);
+  const withConditions = conditions => ({ ...current, conditions: { ...DEFAULT_CONDITIONS, ...conditions } });
+  const dab = { x: 50, y: 50, r: 10, value: 0.8 };
+
+  test('a v1 project gains the default conditions', ()=>{
+    const { conditions, ...v1 } = { ...current, version: 1 };
+    const p = migrateProject(v1);
+    expect(p.version).toBe(2);
+    expect(p.conditions).toEqual(DEFAULT_CONDITIONS);
+    expect(validateProject(p)).toEqual([]);
+  });
+
+  test('accepts painted dabs and rejects malformed ones', ()=>{
+    expect(validateProject(withConditions({ grip: [dab], elevation: [{ ...dab, value: -2 }], banking: [{ ...dab, value: 8 }] }))).toEqual([]);
+    expect(validateProject(withConditions({ banking: [{ ...dab, r: 0 }] }))).toContain('conditions.banking must be brush dabs with x, y, r and value');
+    expect(validateProject(withConditions({ elevation: [{ ...dab, r: -5 }] }))).toContain('conditions.elevation must be brush dabs with x, y, r and value');
+    expect(validateProject(withConditions({ grip: [{ ...dab, value: 0 }] }))).toContain('conditions.grip values must be positive');
+    expect(validateProject(withConditions({ gripScale: 0 }))).toContain('conditions.gripScale must be a positive number');
+  });
+
+  test('a current project without conditions is invalid', ()=>{
+    const { conditions, ...p } = current;
+    expect(validateProject(p)).toContain('conditions are missing');
+  });
+});
+
+describe('parseProject', ()=>{
+  test('reports invalid JSON', ()=>{
+    expect(()=> parseProject('{ "leftPoints": [')).toThrow('Project file is not valid JSON');
+  });
+
+  test('reads a saved project back unchanged', ()=>{
+    const p = migrateProject(flatDump);
+    expect(parseProject(JSON.stringify(p))).toEqual(p);
+  });
+});
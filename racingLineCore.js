@@ -0,0 +1,394 @@
+// Racing line core: geometry, track model, lap simulation, racing-line optimizer, analysis and export writers.
+// Pure functions over {x,y} paths (canvas px) with no React or DOM, shared by the app, the Web Workers,
+// the command-line tool (gokart-line-cli.mjs) and the Jest suite (racingLineCore.test.js).
+
+// ---------- Geometry helpers ----------
+export function distance(a,b){ return Math.hypot(a.x-b.x, a.y-b.y); }
+export function resamplePath(pts, spacing){ if(pts.length<2) return pts.slice(); const d=[0]; for(let i=1;i<pts.length;i++) d.push(d[i-1]+distance(pts[i],pts[i-1])); const total=d[d.length-1]; const n = Math.max(2, Math.round(total/spacing)); const out=[]; for(let i=0;i<=n;i++){ const t=(i/n)*total; let j=0; while(j<d.length-1 && d[j+1]<t) j++; const tt=(t-d[j])/(d[j+1]-d[j]||1); const x = pts[j].x + (pts[j+1].x-pts[j].x)*tt; const y = pts[j].y + (pts[j+1].y-pts[j].y)*tt; out.push({x,y}); } return out; }
+export function simplifyPath(pts, eps){ // Douglas-Peucker
+  if(pts.length<3) return pts.slice();
+  const keep = new Array(pts.length).fill(false); keep[0] = keep[pts.length-1] = true; const stack = [[0, pts.length-1]];
+  while(stack.length){ const [a,b] = stack.pop(); const A=pts[a], B=pts[b]; const len=distance(A,B)||1; let far=-1, fd=0;
+    for(let i=a+1;i<b;i++){ const d = Math.abs((B.x-A.x)*(A.y-pts[i].y) - (A.x-pts[i].x)*(B.y-A.y))/len; if(d>fd){ fd=d; far=i; } }
+    if(far>=0 && fd>eps){ keep[far]=true; stack.push([a,far],[far,b]); } }
+  return pts.filter((_,i)=>keep[i]);
+}
+export function smoothPath(pts, iters=3){ if(pts.length<3) return pts.slice(); let cur = pts.slice(); for(let k=0;k<iters;k++){ const nxt=[cur[0]]; for(let i=0;i<cur.length-1;i++){ const p0=cur[i], p1=cur[i+1]; const q={x:0.75*p0.x + 0.25*p1.x, y:0.75*p0.y+0.25*p1.y}; const r={x:0.25*p0.x + 0.75*p1.x, y:0.25*p0.y+0.75*p1.y}; nxt.push(q); nxt.push(r); } nxt.push(cur[cur.length-1]); cur=nxt; } return cur; }
+
+export function resampleLoop(pts, spacing){ const out = resamplePath(pts.concat([pts[0]]), spacing); out.pop(); return out; }
+export function smoothLoop(pts, iters=3){ let cur = pts.slice(); for(let k=0;k<iters;k++){ const nxt=[]; for(let i=0;i<cur.length;i++){ const p0=cur[i], p1=cur[(i+1)%cur.length]; nxt.push({x:0.75*p0.x+0.25*p1.x, y:0.75*p0.y+0.25*p1.y}, {x:0.25*p0.x+0.75*p1.x, y:0.25*p0.y+0.75*p1.y}); } cur=nxt; } return cur; }
+export function signedArea(pts){ let a=0; for(let i=0;i<pts.length;i++){ const p=pts[i], q=pts[(i+1)%pts.length]; a += p.x*q.y - q.x*p.y; } return a/2; } // > 0: clockwise on screen (y down)
+export function nearestOnLoop(p, loop){ let best=null, bd=Infinity; for(let i=0;i<loop.length;i++){ const a=loop[i], b=loop[(i+1)%loop.length]; const dx=b.x-a.x, dy=b.y-a.y; const t=Math.max(0, Math.min(1, ((p.x-a.x)*dx+(p.y-a.y)*dy)/((dx*dx+dy*dy)||1))); const q={x:a.x+dx*t, y:a.y+dy*t}; const d=distance(p,q); if(d<bd){ bd=d; best=q; } } return best; }
+export function rayHits(c, n, loop){ // signed distances t where c + t*n crosses the loop
+  const hits=[]; for(let i=0;i<loop.length;i++){ const a=loop[i], b=loop[(i+1)%loop.length]; const ex=b.x-a.x, ey=b.y-a.y; const den = n.x*ey - n.y*ex; if(Math.abs(den)<1e-9) continue; const wx=a.x-c.x, wy=a.y-c.y; const t=(wx*ey - wy*ex)/den, u=(wx*n.y - wy*n.x)/den; if(u>=0 && u<1) hits.push(t); } return hits; }
+
+// ---------- Track model ----------
+function closeLoop(pts, label){
+  // a drawn edge counts as a loop when its ends meet within 10% of its length; the duplicated end is dropped
+  if(pts.length<5) throw new Error(`Draw the ${label} edge first`);
+  let len=0; for(let i=1;i<pts.length;i++) len += distance(pts[i],pts[i-1]);
+  const gap = distance(pts[0], pts[pts.length-1]);
+  if(gap > Math.max(25, 0.1*len)) throw new Error(`The ${label} edge is not a closed loop (ends are ${Math.round(gap)} px apart). Finish drawing it back to its start.`);
+  const out = pts.slice(); while(out.length>3 && distance(out[0], out[out.length-1]) < 1) out.pop();
+  return out;
+}
+
+export function buildTrackModel(leftPts, rightPts, { startPoint=null, direction='cw', spacing=3 } = {}){
+  // Closed corridor: stations along a smoothed midline (index 0 at start/finish, ordered in driving direction),
+  // each with a unit normal pointing to the driver's right and the corridor bounds {min,max} along it.
+  const edgeA = resampleLoop(closeLoop(leftPts,'left'), spacing), edgeB = resampleLoop(closeLoop(rightPts,'right'), spacing);
+  let center = smoothLoop(edgeA.map(p=>{ const q=nearestOnLoop(p, edgeB); return {x:(p.x+q.x)/2, y:(p.y+q.y)/2}; }), 3);
+  center = resampleLoop(center, spacing);
+  if((signedArea(center) > 0) !== (direction==='cw')) center.reverse();
+  if(startPoint){ let s=0; for(let i=1;i<center.length;i++) if(distance(center[i],startPoint) < distance(center[s],startPoint)) s=i; center = center.slice(s).concat(center.slice(0,s)); }
+
+  const n = center.length; const stations = [];
+  for(let i=0;i<n;i++){
+    const p0=center[(i-1+n)%n], p1=center[(i+1)%n]; const tx=p1.x-p0.x, ty=p1.y-p0.y, len=Math.hypot(tx,ty)||1; const nrm={x:-ty/len, y:tx/len};
+    const hits = rayHits(center[i], nrm, edgeA).concat(rayHits(center[i], nrm, edgeB));
+    let max = Math.min(...hits.filter(t=>t>0)), min = Math.max(...hits.filter(t=>t<0));
+    if(!isFinite(max) || !isFinite(min)) throw new Error(`Edges do not enclose the centerline near station ${i}; check that the edges do not cross.`);
+    const mid = (min+max)/2; // re-centre between the edges actually hit
+    stations.push({ x: center[i].x + nrm.x*mid, y: center[i].y + nrm.y*mid, nx: nrm.x, ny: nrm.y, min: min-mid, max: max-mid });
+  }
+  return { stations, direction, startPoint, closed: true, spacing };
+}
+
+// ---------- Curvature & kappa ----------
+export function computeCurvature(pts){ const n=pts.length; const out=[]; for(let i=0;i<n;i++){ const p0=pts[(i-1+n)%n]; const p1=pts[i]; const p2=pts[(i+1)%n]; const dx1=p1.x-p0.x, dy1=p1.y-p0.y; const dx2=p2.x-p1.x, dy2=p2.y-p1.y; const cross = dx1*dy2 - dy1*dx2; const len1 = Math.hypot(dx1,dy1); const len2 = Math.hypot(dx2,dy2); const denom = (len1*len2*(len1+len2)) || 1; const k = 2*cross/denom; // signed (Menger) curvature in px^{-1}
+  // tangent unit
+  const tx = (dx1+dx2)/2, ty=(dy1+dy2)/2; const tlen=Math.hypot(tx,ty)||1;
+  out.push({kappa: k, tx: tx/tlen, ty: ty/tlen}); }
+  return out; }
+
+// ---------- Vehicle dynamics simulation (quasi-steady-state) ----------
+export function simulateLap(path, options){
+  // path: array of {x,y} in canvas px, treated as a closed loop
+  if(path.length<2) return null;
+  const g = 9.81, rho = 1.2; // gravity (m/s^2), air density (kg/m^3)
+  const { pxToMeter: px2m, kartMass: m, enginePower: P, maxBrakeAccel: aBrake, tyreMu: mu, vTop: vmaxGear, dragArea: CdA, rollingResistance: Crr, conditions=null } = options;
+  const n = path.length;
+  const dist = new Array(n).fill(0);
+  for(let i=0;i<n;i++){ const q = path[(i+1)%n]; dist[i] = Math.hypot(q.x-path[i].x, q.y-path[i].y)*px2m; } // dist[i]: i -> i+1, last closes the loop
+
+  // track conditions (see trackConditions): grip multiplier at each point, banking and grade per station
+  const gripMul = path.map(p=> conditions ? conditions.gripScale*gripAt(conditions.grip, p) : 1);
+  const perStation = a => conditions && a && a.length===n ? a : null;
+  const elev = perStation(conditions && conditions.elevation), bank = perStation(conditions && conditions.banking);
+  const grade = dist.map((d,i)=> elev && d>0 ? (elev[(i+1)%n]-elev[i])/d : 0); // rise over run of segment i -> i+1
+  const slope = i => g*grade[i]/Math.sqrt(1+grade[i]*grade[i]); // gravity along the segment, + = uphill
+
+  const curv = computeCurvature(path).map(c=> Math.abs(c.kappa)/px2m ); // in 1/m
+  // lateral limit; banking into the corner (tan b) adds to it like on a banked curve: g (mu + tan b)/(1 - mu tan b)
+  const aLatMax = gripMul.map((f,i)=>{ const mi = mu*f, tb = bank ? Math.tan(bank[i]*Math.PI/180) : 0; return Math.max(0.1*g, g*(mi+tb)/Math.max(0.2, 1-mi*tb)); });
+  // speed limit from lateral grip alone: v = sqrt(aLatMax / kappa)
+  const speedLimit = curv.map((k,i)=> Math.min(vmaxGear, k>1e-8 ? Math.sqrt(Math.max(0.5, aLatMax[i] / k)) : vmaxGear));
+
+  // friction ellipse: fraction of the longitudinal limit left over once cornering uses ay = v^2 * kappa
+  const ellipse = (vel, i) => { const r = vel*vel*curv[i]/aLatMax[i]; return r>=1 ? 0 : Math.sqrt(1 - r*r); };
+  const resist = (vel) => (0.5*rho*CdA*vel*vel)/m + Crr*g; // drag + rolling, as deceleration
+  const drive = (vel, i) => Math.min(P/(m*Math.max(vel,1)), mu*gripMul[i]*g*ellipse(vel,i)) - resist(vel) - slope(i); // power- or traction-limited
+  const brake = (vel, i, seg) => aBrake*gripMul[i]*ellipse(vel,i) + resist(vel) + slope(seg);
+
+  // the slowest corner has a speed known from grip alone, so both passes start there and wrap once around the loop
+  let i0 = 0; for(let i=1;i<n;i++) if(speedLimit[i] < speedLimit[i0]) i0 = i;
+
+  // forward pass (accelerate where possible)
+  const vf = new Array(n); vf[i0] = speedLimit[i0];
+  for(let k=1;k<n;k++){
+    const i = (i0+k)%n, p = (i-1+n)%n;
+    const v2 = vf[p]*vf[p] + 2*drive(vf[p], p)*dist[p];
+    vf[i] = Math.min(speedLimit[i], Math.sqrt(Math.max(0, v2)));
+  }
+  // backward pass (brake for corners)
+  const vb = new Array(n); vb[i0] = speedLimit[i0];
+  for(let k=1;k<n;k++){
+    const i = (i0-k+n)%n, q = (i+1)%n;
+    const v2 = vb[q]*vb[q] + 2*brake(vb[q], q, i)*dist[i];
+    vb[i] = Math.min(speedLimit[i], Math.sqrt(Math.max(0, v2)));
+  }
+  const v = vf.map((vi,i)=> Math.min(vi, vb[i]));
+
+  // compute times (mean segment speed) and the accelerations actually used
+  let totalT = 0; const longAccel = new Array(n), latAccel = new Array(n);
+  for(let i=0;i<n;i++){
+    const vi = v[i], vn = v[(i+1)%n], d = dist[i];
+    totalT += 2*d / Math.max(0.2, vi+vn);
+    longAccel[i] = d>0 ? (vn*vn - vi*vi)/(2*d) : 0;
+    latAccel[i] = vi*vi*curv[i];
+  }
+
+  // what the driver is doing: braking (the backward pass sets the speed), cornering with the tyres at the lateral limit, or on the throttle
+  const phase = v.map((vi,i)=> vb[i]<vf[i] ? 'brake' : latAccel[i]>=0.95*aLatMax[i] ? 'grip' : 'throttle');
+
+  return { time: totalT, speedProfile: v, dist, speedLimit, longAccel, latAccel, phase };
+}
+
+// ---------- Track conditions ----------
+// Conditions are painted as brush dabs { x, y, r, value } in canvas px, later dabs over earlier ones.
+// Grip multipliers are rasterised so they can differ across the track (a wet patch on the inside moves the line);
+// elevation (m) and banking (deg, + = banked into the corner) belong to a section of track and are mapped onto stations:
+// elevation is interpolated between painted sections, banking is 0 wherever it was not painted.
+export const WET_GRIP = 0.6; // grip on a wet track relative to dry
+
+export function gripRaster(dabs, cell=8){
+  if(!dabs || !dabs.length) return null;
+  const x0 = Math.floor(Math.min(...dabs.map(d=>d.x-d.r))/cell)*cell, y0 = Math.floor(Math.min(...dabs.map(d=>d.y-d.r))/cell)*cell;
+  const cols = Math.ceil((Math.max(...dabs.map(d=>d.x+d.r))-x0)/cell)+1, rows = Math.ceil((Math.max(...dabs.map(d=>d.y+d.r))-y0)/cell)+1;
+  const values = new Float32Array(cols*rows).fill(1);
+  for(const d of dabs){
+    const c0 = Math.max(0, Math.floor((d.x-d.r-x0)/cell)), c1 = Math.min(cols-1, Math.floor((d.x+d.r-x0)/cell)), r0 = Math.max(0, Math.floor((d.y-d.r-y0)/cell)), r1 = Math.min(rows-1, Math.floor((d.y+d.r-y0)/cell));
+    for(let r=r0;r<=r1;r++) for(let c=c0;c<=c1;c++) if(Math.hypot(x0+(c+0.5)*cell-d.x, y0+(r+0.5)*cell-d.y) <= d.r) values[r*cols+c] = d.value;
+  }
+  return { x0, y0, cell, cols, rows, values };
+}
+export function gripAt(raster, p){
+  if(!raster) return 1;
+  const c = Math.floor((p.x-raster.x0)/raster.cell), r = Math.floor((p.y-raster.y0)/raster.cell);
+  return c<0 || r<0 || c>=raster.cols || r>=raster.rows ? 1 : raster.values[r*raster.cols+c];
+}
+
+// A dab sets every station whose cross-section it touches; null where no dab does
+function paintedStations(track, dabs){
+  const st = track.stations, n = st.length, vals = new Array(n).fill(null);
+  for(const d of dabs) for(let i=0;i<n;i++){
+    const s = st[i], dx = d.x-s.x, dy = d.y-s.y, along = dx*s.ny - dy*s.nx, across = dx*s.nx + dy*s.ny;
+    if(Math.abs(along) <= d.r && across >= s.min-d.r && across <= s.max+d.r) vals[i] = d.value;
+  }
+  return vals;
+}
+
+// Per-station elevation: painted stations keep their value, stations in between are interpolated along the lap.
+// null when no dab reaches the track.
+export function stationProfile(track, dabs){
+  if(!dabs || !dabs.length) return null;
+  const n = track.stations.length, vals = paintedStations(track, dabs);
+  const known = []; vals.forEach((v,i)=>{ if(v!==null) known.push(i); });
+  if(!known.length) return null;
+  known.forEach((a,k)=>{ const b = known[(k+1)%known.length], gap = (b-a+n)%n || n; for(let j=1;j<gap;j++) vals[(a+j)%n] = vals[a] + (vals[b]-vals[a])*j/gap; });
+  return vals;
+}
+
+// Per-station banking: painted stations keep their value, everything else is level. null when no dab reaches the track.
+export function stationBanking(track, dabs){
+  if(!dabs || !dabs.length) return null;
+  const vals = paintedStations(track, dabs);
+  return vals.some(v=> v!==null) ? vals.map(v=> v===null ? 0 : v) : null;
+}
+
+// The simulation-ready form of a project's conditions ({ gripScale, grip, elevation, banking }) for one track model
+export function trackConditions(track, { gripScale=1, grip=[], elevation=[], banking=[] } = {}){
+  return { gripScale, grip: gripRaster(grip), elevation: track ? stationProfile(track, elevation) : null, banking: track ? stationBanking(track, banking) : null };
+}
+
+// ---------- Track lines ----------
+export function trackLine(track, offsets){ return track.stations.map((s,i)=>({ x: s.x + s.nx*(offsets ? offsets[i] : 0), y: s.y + s.ny*(offsets ? offsets[i] : 0) })); }
+
+// ---------- Lap playback ----------
+// Elapsed time at each station of a simulated lap (station 0 = start/finish); the closing segment ends at sim.time.
+export function stationTimes(sim){
+  const v = sim.speedProfile, n = v.length, t = new Array(n); t[0] = 0;
+  for(let i=1;i<n;i++) t[i] = t[i-1] + 2*sim.dist[i-1]/Math.max(0.2, v[i-1]+v[i]);
+  return t;
+}
+
+// Kart state at elapsed time t (clamped to the lap), interpolated along the segment it is on
+export function lapStateAt(line, sim, times, t){
+  const n = line.length, tt = Math.max(0, Math.min(sim.time, t));
+  let i = 0, hi = n-1; while(i<hi){ const mid = (i+hi+1)>>1; if(times[mid] <= tt) i = mid; else hi = mid-1; }
+  const j = (i+1)%n, t1 = j===0 ? sim.time : times[j], u = t1>times[i] ? (tt-times[i])/(t1-times[i]) : 0;
+  const mix = (a, b) => a + (b-a)*u, p = line[i], q = line[j], v = sim.speedProfile;
+  return { index: i, u, x: mix(p.x, q.x), y: mix(p.y, q.y), heading: Math.atan2(q.y-p.y, q.x-p.x), speed: mix(v[i], v[j]),
+    latAccel: mix(sim.latAccel[i], sim.latAccel[j]), longAccel: sim.longAccel[i], phase: sim.phase[i], finished: t >= sim.time };
+}
+
+// ---------- Export writers ----------
+// Telemetry CSV: rows run from the start/finish line in driving direction; offset is along the station normal (+ = driver's right)
+export function lapTelemetryCSV(track, line, sim, pxToMeter){
+  const st = track.stations; let csv = 'index,dist_m,x_px,y_px,offset_m,track_width_m,speed_mps\n', s = 0;
+  for(let i=0;i<line.length;i++){ const p=line[i], q=st[i]; const off=((p.x-q.x)*q.nx + (p.y-q.y)*q.ny)*pxToMeter;
+    csv += `${i},${s.toFixed(3)},${p.x.toFixed(3)},${p.y.toFixed(3)},${off.toFixed(3)},${((q.max-q.min)*pxToMeter).toFixed(3)},${(sim?sim.speedProfile[i].toFixed(3):'')}\n`; s += sim ? sim.dist[i] : 0; }
+  return csv;
+}
+
+// Track edges (red left, blue right), racing line (green) and start/finish line, over the optional background image
+export function trackSVG(track, line, { width, height, image=null }){
+  const st = track.stations; const pts = arr => arr.map(p=>`${p.x.toFixed(2)},${p.y.toFixed(2)}`).join(' ');
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`];
+  if(image) parts.push(`<image href="${image}" x="0" y="0" width="${width}" height="${height}" />`);
+  parts.push(`<polygon points="${pts(st.map(q=>({x:q.x+q.nx*q.min, y:q.y+q.ny*q.min})))}" stroke="#d9534f" fill="none" stroke-width="3" />`);
+  parts.push(`<polygon points="${pts(st.map(q=>({x:q.x+q.nx*q.max, y:q.y+q.ny*q.max})))}" stroke="#0275d8" fill="none" stroke-width="3" />`);
+  parts.push(`<polygon points="${pts(line)}" stroke="#2ca02c" fill="none" stroke-width="3" />`);
+  const sf = st[0]; parts.push(`<line x1="${sf.x+sf.nx*sf.min}" y1="${sf.y+sf.ny*sf.min}" x2="${sf.x+sf.nx*sf.max}" y2="${sf.y+sf.ny*sf.max}" stroke="#000" stroke-width="4" />`);
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+// ---------- Racing-line optimizer (minimum curvature, then minimum time) ----------
+// Seeded PRNG so a given seed always reproduces the same line.
+export function mulberry32(seed){ let a = seed >>> 0; return function(){ a = (a + 0x6D2B79F5) >>> 0; let t = a; t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61); return ((t ^ (t >>> 14)) >>> 0) / 4294967296; }; }
+
+// Offsets live on a coarse ring of control stations; every track station gets a periodic Catmull-Rom interpolation of them.
+function controlGrid(track, spacingPx, margin){
+  const st = track.stations, n = st.length;
+  const m = Math.max(8, Math.min(n, Math.round(n*track.spacing/spacingPx)));
+  const idx = [], lo = [], hi = [];
+  for(let j=0;j<m;j++){ const i = Math.round(j*n/m) % n; const s = st[i]; idx.push(i); const mid = (s.min+s.max)/2; lo.push(Math.min(mid, s.min+margin)); hi.push(Math.max(mid, s.max-margin)); }
+  return { m, idx, lo, hi };
+}
+
+function interpolateOffsets(track, grid, ctrl, margin){
+  const st = track.stations, n = st.length, m = grid.m, out = new Array(n);
+  for(let i=0;i<n;i++){
+    const u = i*m/n, j = Math.floor(u), t = u-j;
+    const p0 = ctrl[(j-1+m)%m], p1 = ctrl[j%m], p2 = ctrl[(j+1)%m], p3 = ctrl[(j+2)%m];
+    const v = 0.5*((2*p1) + (-p0+p2)*t + (2*p0-5*p1+4*p2-p3)*t*t + (-p0+3*p1-3*p2+p3)*t*t*t);
+    const s = st[i], mid = (s.min+s.max)/2;
+    out[i] = Math.max(Math.min(mid, s.min+margin), Math.min(Math.max(mid, s.max-margin), v));
+  }
+  return out;
+}
+
+// Minimum-curvature QP: minimise sum |P[j-1] - 2P[j] + P[j+1]|^2 over control offsets inside the corridor,
+// solved with accelerated projected gradient (FISTA). The Lipschitz bound of the gradient is 2*4^2 = 32.
+export function minimumCurvatureOffsets(track, grid, { iterations=6000, onProgress } = {}){
+  const st = track.stations, { m, idx, lo, hi } = grid;
+  const nx = idx.map(i=>st[i].nx), ny = idx.map(i=>st[i].ny), cx = idx.map(i=>st[i].x), cy = idx.map(i=>st[i].y);
+  const clamp = a => a.map((v,j)=> Math.max(lo[j], Math.min(hi[j], v)));
+  const dx = new Float64Array(m), dy = new Float64Array(m), g = new Float64Array(m);
+  const grad = a => {
+    for(let j=0;j<m;j++){ const jp=(j-1+m)%m, jn=(j+1)%m; dx[j] = (cx[jp]+nx[jp]*a[jp]) - 2*(cx[j]+nx[j]*a[j]) + (cx[jn]+nx[jn]*a[jn]); dy[j] = (cy[jp]+ny[jp]*a[jp]) - 2*(cy[j]+ny[j]*a[j]) + (cy[jn]+ny[jn]*a[jn]); }
+    for(let j=0;j<m;j++){ const jp=(j-1+m)%m, jn=(j+1)%m; g[j] = 2*(nx[j]*(dx[jp]-2*dx[j]+dx[jn]) + ny[j]*(dy[jp]-2*dy[j]+dy[jn])); }
+    return g;
+  };
+  let x = clamp(new Array(m).fill(0)), y = x.slice(), tk = 1;
+  for(let it=0; it<iterations; it++){
+    const gy = grad(y); const xn = clamp(y.map((v,j)=> v - gy[j]/32));
+    const t2 = (1+Math.sqrt(1+4*tk*tk))/2; let moved = 0;
+    for(let j=0;j<m;j++){ y[j] = xn[j] + ((tk-1)/t2)*(xn[j]-x[j]); moved = Math.max(moved, Math.abs(xn[j]-x[j])); }
+    x = xn; tk = t2;
+    if(onProgress && it%250===0) onProgress(it/iterations, x);
+    if(moved < 1e-4 && it>100) break;
+  }
+  return x;
+}
+
+// Deterministic racing-line optimizer over the track corridor.
+// Phase 1 solves the minimum-curvature QP; phase 2 refines it for lap time with seeded local search,
+// shifting smooth bumps of control offsets and keeping only changes that simulateLap says are faster.
+// onProgress({ phase, progress, offsets, time }) is called as the line improves.
+export function optimizeRacingLine(track, setup, { iterations=300, seed=1, margin=0, controlSpacing=4, onProgress=()=>{} } = {}){
+  const grid = controlGrid(track, controlSpacing/setup.pxToMeter, margin);
+  const lapTime = ctrl => { const offsets = interpolateOffsets(track, grid, ctrl, margin); const sim = simulateLap(trackLine(track, offsets), setup); return { offsets, time: sim ? sim.time : Infinity }; };
+
+  let ctrl = minimumCurvatureOffsets(track, grid, { onProgress: (p, x) => onProgress({ phase: 'min-curvature', progress: 0.2*p, ...lapTime(x) }) });
+  let best = lapTime(ctrl); const curvatureTime = best.time;
+  onProgress({ phase: 'min-time', progress: 0.2, ...best });
+
+  const rand = mulberry32(seed); let stale = 0;
+  for(let it=0; it<iterations; it++){
+    const tries = 20; let improved = false;
+    const scale = 0.05 + 0.45*(1 - it/iterations); // larger early
+    for(let t=0;t<tries;t++){
+      const j = Math.floor(rand()*grid.m), half = 1 + Math.floor(rand()*4);
+      const step = (rand()*2-1) * (grid.hi[j]-grid.lo[j]) * scale;
+      const next = ctrl.slice();
+      for(let k=-half;k<=half;k++){ const q=(j+k+grid.m)%grid.m; const w=0.5*(1+Math.cos(Math.PI*k/(half+1))); next[q] = Math.max(grid.lo[q], Math.min(grid.hi[q], next[q] + step*w)); }
+      const cand = lapTime(next);
+      if(cand.time < best.time){ ctrl = next; best = cand; improved = true; }
+    }
+    stale = improved ? 0 : stale+1;
+    onProgress({ phase: 'min-time', progress: 0.2 + 0.8*(it+1)/iterations, ...best });
+    if(stale > 40) break; // early stop
+  }
+  return { offsets: best.offsets, time: best.time, curvatureTime };
+}
+
+// ---------- Setup sweeps & sensitivities ----------
+// Lap time of a setup: either re-simulated on a fixed line, or with the line re-optimized for that setup.
+function setupLapTime(track, line, setup, { reoptimize=false, optimizer={} } = {}){
+  if(reoptimize) return optimizeRacingLine(track, setup, optimizer).time;
+  const sim = simulateLap(line, setup); return sim ? sim.time : Infinity;
+}
+
+export function linspace(from, to, steps){ if(steps<2) return [from]; return Array.from({length: steps}, (_,i)=> from + (to-from)*i/(steps-1)); }
+
+// One- or two-parameter grid over the kart setup. rows: [{ a, b, time }] with b null for a 1-D sweep; best is the fastest row.
+export function sweepSetup(track, line, setup, { paramA, valuesA, paramB=null, valuesB=[null], reoptimize=false, optimizer={}, onProgress=()=>{} }){
+  const rows = [], total = valuesA.length*valuesB.length;
+  for(const a of valuesA) for(const b of valuesB){
+    const s = { ...setup, [paramA]: a }; if(paramB) s[paramB] = b;
+    rows.push({ a, b, time: setupLapTime(track, line, s, { reoptimize, optimizer }) });
+    onProgress(rows.length/total);
+  }
+  const best = rows.reduce((m,r)=> r.time < m.time ? r : m, rows[0]);
+  return { paramA, paramB, valuesA, valuesB, rows, best };
+}
+
+// Central-difference d(lap time)/d(param) around the current setup, in seconds per unit of each parameter.
+export function setupSensitivities(track, line, setup, params, { reoptimize=false, optimizer={}, relStep=reoptimize ? 0.05 : 0.02, onProgress=()=>{} } = {}){
+  return params.map((k,i)=>{
+    const h = Math.abs(setup[k])*relStep || relStep;
+    const up = setupLapTime(track, line, { ...setup, [k]: setup[k]+h }, { reoptimize, optimizer });
+    const dn = setupLapTime(track, line, { ...setup, [k]: setup[k]-h }, { reoptimize, optimizer });
+    onProgress((i+1)/params.length);
+    return { param: k, step: h, perUnit: (up-dn)/(2*h) };
+  });
+}
+
+// ---------- Lap analysis ----------
+// Splits a lap into numbered corners and straights from the curvature and the simulated speed profile.
+// Corners start where the radius drops below enterRadius and end once it is back above exitRadius; kinks taken
+// flat out stay part of the straight. Station indices refer to `line`; with a `reference` line over the same
+// stations (the centerline), every segment also gets its time difference against it (negative = faster).
+export function analyzeLap(line, setup, { reference=null, enterRadius=60, exitRadius=90, brakeDecel=1, minCornerLength=3, mergeGap=5 } = {}){
+  const sim = simulateLap(line, setup); if(!sim) return null;
+  const n = line.length, v = sim.speedProfile;
+  const raw = computeCurvature(line).map(c=> c.kappa/setup.pxToMeter);
+  const meanDs = sim.dist.reduce((a,b)=>a+b,0)/n, w = Math.max(1, Math.round(3/meanDs)); // ~6 m moving average
+  const kappa = raw.map((_,i)=>{ let s=0; for(let k=-w;k<=w;k++) s += raw[(i+k+n)%n]; return s/(2*w+1); });
+  const segTime = (s, i) => 2*s.dist[i]/Math.max(0.2, s.speedProfile[i] + s.speedProfile[(i+1)%n]);
+  const refSim = reference && reference.length===n ? simulateLap(reference, setup) : null;
+
+  // work in k-space, starting from the straightest station, so no corner straddles the wrap
+  let s0 = 0; for(let i=1;i<n;i++) if(Math.abs(kappa[i]) < Math.abs(kappa[s0])) s0 = i;
+  const at = k => (s0+k)%n;
+  const span = (a, b, f) => { let acc=0; for(let k=a;k<=b;k++) acc += f(at(k)); return acc; };
+  const length = (a, b) => span(a, b, i=> sim.dist[i]);
+
+  let runs = []; let start = -1;
+  for(let k=0;k<n;k++){ const a = Math.abs(kappa[at(k)]); if(start<0 && a > 1/enterRadius) start = k; else if(start>=0 && a < 1/exitRadius){ runs.push([start, k-1]); start = -1; } }
+  if(start>=0) runs.push([start, n-1]);
+  const turn = ([a,b]) => Math.sign(span(a, b, i=> kappa[i]));
+  runs = runs.reduce((acc, r)=>{ const prev = acc[acc.length-1]; if(prev && turn(prev)===turn(r) && length(prev[1]+1, r[0]-1) < mergeGap) prev[1] = r[1]; else acc.push(r); return acc; }, []);
+  runs = runs.filter(([a,b])=>{ if(length(a,b) < minCornerLength) return false; let vmin = Infinity; for(let k=a;k<=b;k++) vmin = Math.min(vmin, v[at(k)]); return vmin < 0.98*setup.vTop; });
+
+  const corners = []; let prevEnd = -1;
+  for(const [a,b] of runs){
+    let apexK = a, minK = a;
+    for(let k=a;k<=b;k++){ if(Math.abs(kappa[at(k)]) > Math.abs(kappa[at(apexK)])) apexK = k; if(v[at(k)] < v[at(minK)]) minK = k; }
+    // braking zone: the run of falling speed that ends at the minimum, if it is a real stop (not just drag)
+    let brakeK = minK; while(brakeK-1 > prevEnd && v[at(brakeK-1)] > v[at(brakeK)]) brakeK--;
+    const braked = brakeK<minK && (v[at(brakeK)]**2 - v[at(minK)]**2)/(2*length(brakeK, minK-1)) > brakeDecel;
+    const from = Math.min(a, braked ? brakeK : a);
+    corners.push({ from, to: b, dir: kappa[at(apexK)] > 0 ? 'right' : 'left', entry: at(a), apex: at(apexK), exit: at(b), minSpeedIndex: at(minK), minSpeed: v[at(minK)],
+      brakingPoint: braked ? at(brakeK) : null, brakingDistance: braked ? length(brakeK, minK-1) : 0 });
+    prevEnd = b;
+  }
+  const timing = seg => { seg.time = span(seg.from, seg.to, i=> segTime(sim, i)); seg.delta = refSim ? seg.time - span(seg.from, seg.to, i=> segTime(refSim, i)) : null; seg.length = length(seg.from, seg.to); return seg; };
+
+  // straights fill the gaps; the one across k = 0 wraps round to the first corner
+  const straights = [];
+  corners.forEach((c,j)=>{ const next = corners[j+1]; const from = c.to+1, to = next ? next.from-1 : n-1; if(to>=from) straights.push({ from, to }); });
+  if(corners.length && corners[0].from>0){ if(straights.length && straights[straights.length-1].to===n-1) straights[straights.length-1].to = n-1 + corners[0].from; else straights.push({ from: corners.length ? corners[corners.length-1].to+1 : 0, to: n-1 + corners[0].from }); }
+  if(!corners.length) straights.push({ from: 0, to: n-1 });
+  for(const s of straights){ timing(s); let vmax = 0; for(let k=s.from;k<=s.to;k++) vmax = Math.max(vmax, v[at(k)]); s.maxSpeed = vmax; s.start = at(s.from); s.end = at(s.to); }
+  corners.forEach(timing);
+
+  // number both in lap order from start/finish (station 0)
+  const byLapOrder = (x, y) => x.startIndex - y.startIndex;
+  corners.forEach(c=>{ c.startIndex = at(c.from); }); straights.forEach(s=>{ s.startIndex = s.start; });
+  corners.sort(byLapOrder).forEach((c,i)=>{ c.number = i+1; });
+  straights.sort(byLapOrder).forEach((s,i)=>{ s.number = i+1; });
+  return { corners, straights, time: sim.time, referenceTime: refSim ? refSim.time : null };
+}
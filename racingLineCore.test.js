@@ -0,0 +1,214 @@
+import { distance, resampleLoop, simplifyPath, signedArea, buildTrackModel, computeCurvature, simulateLap, trackLine, optimizeRacingLine, sweepSetup, setupSensitivities, analyzeLap, gripRaster, gripAt, stationProfile, trackConditions, stationTimes, lapStateAt, lapTelemetryCSV, trackSVG } from './racingLineCore';
+
+const circle = (r, n, cx=500, cy=300) => Array.from({length: n}, (_,i)=>{ const t = 2*Math.PI*i/n; return { x: cx + r*Math.cos(t), y: cy + r*Math.sin(t) }; });
+const ellipse = (a, b, n, cx=550, cy=325) => Array.from({length: n}, (_,i)=>{ const t = 2*Math.PI*i/n; return { x: cx + a*Math.cos(t), y: cy + b*Math.sin(t) }; });
+const kart = { pxToMeter: 0.2, kartMass: 160, enginePower: 8500, maxBrakeAccel: 7.5, tyreMu: 1.6, vTop: 22, dragArea: 0.5, rollingResistance: 0.015 };
+
+describe('geometry', ()=>{
+  test('curvature of a circle is 1/R, positive when turning right on screen', ()=>{
+    const k = computeCurvature(circle(100, 360));
+    for(const c of k) expect(c.kappa).toBeCloseTo(1/100, 5);
+    const ccw = computeCurvature(circle(100, 360).reverse());
+    for(const c of ccw) expect(c.kappa).toBeCloseTo(-1/100, 5);
+  });
+
+  test('resampleLoop spaces points evenly round the loop', ()=>{
+    const pts = resampleLoop(circle(100, 12), 5);
+    const gaps = pts.map((p,i)=> distance(p, pts[(i+1)%pts.length]));
+    const mean = gaps.reduce((a,b)=>a+b,0)/gaps.length;
+    expect(mean).toBeCloseTo(5, 0);
+    for(const g of gaps) expect(Math.abs(g-mean)).toBeLessThan(0.5);
+  });
+
+  test('simplifyPath drops collinear points and keeps corners', ()=>{
+    const pts = [{x:0,y:0},{x:5,y:0.1},{x:10,y:0},{x:10,y:5},{x:10,y:10}];
+    expect(simplifyPath(pts, 0.5)).toEqual([{x:0,y:0},{x:10,y:0},{x:10,y:10}]);
+    expect(simplifyPath(pts, 0.01)).toHaveLength(4);
+  });
+
+  test('signedArea is positive for clockwise loops on screen', ()=>{
+    expect(signedArea(circle(10, 100))).toBeCloseTo(Math.PI*100, 0);
+    expect(signedArea(circle(10, 100).reverse())).toBeCloseTo(-Math.PI*100, 0);
+  });
+});
+
+describe('track model', ()=>{
+  const outer = circle(120, 90), inner = circle(80, 90);
+
+  test('concentric loops give a constant-width track with normals to the driver\'s right', ()=>{
+    const track = buildTrackModel(outer, inner, { direction: 'cw' });
+    expect(track.closed).toBe(true);
+    for(const s of track.stations){
+      expect(Math.abs(s.max - s.min - 40)).toBeLessThan(1);
+      const r = Math.hypot(s.x-500, s.y-300), rn = Math.hypot(s.x+s.nx-500, s.y+s.ny-300);
+      expect(Math.abs(r - 100)).toBeLessThan(1);
+      expect(rn).toBeLessThan(r); // driving clockwise, the infield is on the right
+    }
+    expect(signedArea(trackLine(track, null))).toBeGreaterThan(0);
+  });
+
+  test('direction and start point set the station order', ()=>{
+    const start = { x: 500, y: 400 };
+    const track = buildTrackModel(outer, inner, { direction: 'ccw', startPoint: start });
+    expect(distance(track.stations[0], start)).toBeLessThan(track.spacing);
+    expect(signedArea(trackLine(track, null))).toBeLessThan(0);
+  });
+
+  test('rejects edges that do not form a loop', ()=>{
+    expect(()=> buildTrackModel(outer.slice(0, 2), inner)).toThrow();
+  });
+});
+
+describe('lap simulation', ()=>{
+  test('constant-radius lap time matches 2*pi*R / sqrt(mu*g*R)', ()=>{
+    const R = 20, setup = { ...kart, vTop: 100, pxToMeter: 0.1 };
+    const sim = simulateLap(circle(R/setup.pxToMeter, 600), setup);
+    const v = Math.sqrt(setup.tyreMu*9.81*R);
+    expect(sim.time).toBeCloseTo(2*Math.PI*R/v, 1);
+    for(const s of sim.speedProfile) expect(s).toBeCloseTo(v, 0);
+  });
+
+  test('top speed caps a large circle', ()=>{
+    const sim = simulateLap(circle(2000, 600), { ...kart, vTop: 10 });
+    expect(Math.max(...sim.speedProfile)).toBeLessThanOrEqual(10 + 1e-9);
+  });
+});
+
+describe('track conditions', ()=>{
+  const R = 20, setup = { ...kart, vTop: 100, pxToMeter: 0.1 }, ring = circle(R/setup.pxToMeter, 600);
+  const flat = simulateLap(ring, setup).time;
+
+  test('grip raster holds painted multipliers and defaults to 1', ()=>{
+    const raster = gripRaster([{ x: 100, y: 100, r: 20, value: 0.5 }, { x: 110, y: 100, r: 5, value: 1.2 }]);
+    expect(gripAt(raster, { x: 90, y: 100 })).toBe(0.5);
+    expect(gripAt(raster, { x: 110, y: 100 })).toBeCloseTo(1.2, 5);
+    expect(gripAt(raster, { x: 300, y: 300 })).toBe(1);
+    expect(gripAt(null, { x: 0, y: 0 })).toBe(1);
+  });
+
+  test('scaling grip scales cornering speed by its square root', ()=>{
+    const wet = simulateLap(ring, { ...setup, conditions: trackConditions(null, { gripScale: 0.5 }) }).time;
+    expect(wet/flat).toBeCloseTo(Math.SQRT2, 2);
+    const painted = simulateLap(ring, { ...setup, conditions: trackConditions(null, { grip: [{ x: 500, y: 300, r: 400, value: 0.5 }] }) }).time;
+    expect(painted).toBeCloseTo(wet, 6);
+  });
+
+  test('banking raises the cornering limit like a banked curve', ()=>{
+    const track = buildTrackModel(circle(230, 600), circle(170, 600));
+    const line = trackLine(track, null), tb = Math.tan(10*Math.PI/180), mu = setup.tyreMu;
+    const banked = simulateLap(line, { ...setup, conditions: trackConditions(track, { banking: [{ x: 500, y: 300, r: 400, value: 10 }] }) });
+    const level = simulateLap(line, setup);
+    expect(banked.speedLimit[100]/level.speedLimit[100]).toBeCloseTo(Math.sqrt((mu+tb)/((1-mu*tb)*mu)), 2);
+  });
+
+  test('banking stays on the painted corner', ()=>{
+    const track = buildTrackModel(ellipse(420, 250, 720), ellipse(370, 200, 720)), line = trackLine(track, null);
+    const nearest = p => line.reduce((b,q,i)=> distance(q,p) < distance(line[b],p) ? i : b, 0);
+    const corner = nearest({ x: 945, y: 325 }), straight = nearest({ x: 550, y: 100 }), other = nearest({ x: 155, y: 325 });
+    const conditions = trackConditions(track, { banking: [{ x: 945, y: 325, r: 60, value: 10 }, { x: 155, y: 325, r: 60, value: 0 }] });
+    expect(conditions.banking[corner]).toBe(10);
+    expect(conditions.banking[straight]).toBe(0);
+    const banked = simulateLap(line, { ...kart, conditions }), level = simulateLap(line, kart);
+    expect(banked.speedLimit[corner]).toBeGreaterThan(level.speedLimit[corner]);
+    expect(banked.speedLimit[straight]).toBe(level.speedLimit[straight]);
+    expect(banked.speedLimit[other]).toBe(level.speedLimit[other]);
+  });
+
+  test('elevation is interpolated along the lap and a climb costs time', ()=>{
+    const track = buildTrackModel(circle(230, 600), circle(170, 600)), n = track.stations.length;
+    const top = { x: 500, y: 300-200 }, bottom = { x: 500, y: 300+200 };
+    const z = stationProfile(track, [{ ...top, r: 10, value: 5 }, { ...bottom, r: 10, value: 0 }]);
+    expect(Math.max(...z)).toBe(5); expect(Math.min(...z)).toBe(0);
+    for(let i=0;i<n;i++) expect(Math.abs(z[(i+1)%n] - z[i])).toBeLessThan(0.1);
+    const line = trackLine(track, null), base = { ...setup, vTop: 15, enginePower: 1500 }; // power-limited, so the climb shows
+    const hilly = simulateLap(line, { ...base, conditions: trackConditions(track, { elevation: [{ ...top, r: 10, value: 5 }, { ...bottom, r: 10, value: 0 }] }) });
+    expect(hilly.time).toBeGreaterThan(simulateLap(line, base).time);
+    expect(stationProfile(track, [{ x: 0, y: 0, r: 5, value: 3 }])).toBeNull();
+  });
+});
+
+describe('optimizer', ()=>{
+  const track = buildTrackModel(ellipse(420, 250, 720), ellipse(370, 200, 720));
+  const centerTime = simulateLap(trackLine(track, null), kart).time;
+
+  test('is deterministic for a seed and beats the centerline', ()=>{
+    const a = optimizeRacingLine(track, kart, { iterations: 15, seed: 7, margin: 0.5/kart.pxToMeter });
+    const b = optimizeRacingLine(track, kart, { iterations: 15, seed: 7, margin: 0.5/kart.pxToMeter });
+    expect(a.time).toBe(b.time);
+    expect(a.offsets).toEqual(b.offsets);
+    expect(a.time).toBeLessThan(centerTime);
+    track.stations.forEach((s,i)=>{ expect(a.offsets[i]).toBeGreaterThanOrEqual(s.min); expect(a.offsets[i]).toBeLessThanOrEqual(s.max); });
+  });
+});
+
+describe('setup sweep', ()=>{
+  const track = buildTrackModel(ellipse(420, 250, 720), ellipse(370, 200, 720));
+  const line = trackLine(track, null);
+  const sweep = sweepSetup(track, line, kart, { paramA: 'tyreMu', valuesA: [1.2, 1.4, 1.6], paramB: 'kartMass', valuesB: [140, 160, 180] });
+  const time = (mu, mass) => sweep.rows.find(r=> r.a===mu && r.b===mass).time;
+
+  test('covers the whole grid and picks the fastest row', ()=>{
+    expect(sweep.rows).toHaveLength(sweep.valuesA.length*sweep.valuesB.length);
+    expect(sweep.best.time).toBe(Math.min(...sweep.rows.map(r=>r.time)));
+    expect(sweep.best).toEqual(expect.objectContaining({ a: 1.6, b: 140 }));
+  });
+
+  test('more grip is faster and more mass is slower', ()=>{
+    for(const mass of sweep.valuesB) expect(time(1.6, mass)).toBeLessThan(time(1.2, mass));
+    for(const mu of sweep.valuesA) expect(time(mu, 180)).toBeGreaterThan(time(mu, 140));
+    const sens = setupSensitivities(track, line, kart, ['tyreMu', 'kartMass']);
+    expect(sens.map(s=>s.param)).toEqual(['tyreMu', 'kartMass']);
+    expect(sens[0].perUnit).toBeLessThan(0);
+    expect(sens[1].perUnit).toBeGreaterThan(0);
+  });
+});
+
+describe('lap playback', ()=>{
+  const track = buildTrackModel(ellipse(420, 250, 720), ellipse(370, 200, 720));
+  const line = trackLine(track, null), sim = simulateLap(line, kart), times = stationTimes(sim);
+
+  test('station times start at zero, increase and close at the lap time', ()=>{
+    expect(times[0]).toBe(0);
+    for(let i=1;i<times.length;i++) expect(times[i]).toBeGreaterThan(times[i-1]);
+    const last = times.length-1;
+    expect(times[last] + 2*sim.dist[last]/(sim.speedProfile[last]+sim.speedProfile[0])).toBeCloseTo(sim.time, 9);
+  });
+
+  test('lapStateAt follows the line and clamps to the lap', ()=>{
+    const s0 = lapStateAt(line, sim, times, 0);
+    expect(s0.index).toBe(0); expect(s0.x).toBeCloseTo(line[0].x, 9); expect(s0.speed).toBeCloseTo(sim.speedProfile[0], 9);
+    const mid = lapStateAt(line, sim, times, times[100]);
+    expect(mid.index).toBe(100); expect(mid.u).toBeCloseTo(0, 9);
+    const end = lapStateAt(line, sim, times, sim.time + 5);
+    expect(end.finished).toBe(true); expect(end.x).toBeCloseTo(line[0].x, 6);
+  });
+
+  test('an oval lap has braking, throttle and grip-limited phases', ()=>{
+    expect(new Set(sim.phase)).toEqual(new Set(['brake', 'throttle', 'grip']));
+    sim.phase.forEach((p,i)=>{ if(p==='brake') expect(sim.longAccel[i]).toBeLessThan(0); });
+  });
+});
+
+describe('analysis and writers', ()=>{
+  const track = buildTrackModel(ellipse(420, 250, 720), ellipse(370, 200, 720));
+  const line = trackLine(track, null);
+
+  test('an oval has two corners and two straights whose times add up to the lap', ()=>{
+    const a = analyzeLap(line, kart);
+    expect(a.corners).toHaveLength(2);
+    expect(a.straights).toHaveLength(2);
+    const total = a.corners.concat(a.straights).reduce((s,x)=>s+x.time, 0);
+    expect(total).toBeCloseTo(a.time, 3);
+    for(const c of a.corners) expect(c.dir).toBe('right');
+  });
+
+  test('telemetry CSV has one row per station and the SVG closes', ()=>{
+    const csv = lapTelemetryCSV(track, line, simulateLap(line, kart), kart.pxToMeter).trim().split('\n');
+    expect(csv[0]).toBe('index,dist_m,x_px,y_px,offset_m,track_width_m,speed_mps');
+    expect(csv).toHaveLength(track.stations.length + 1);
+    const svg = trackSVG(track, line, { width: 1100, height: 650 });
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg.endsWith('</svg>')).toBe(true);
+    expect(svg).not.toContain('<image');
+  });
+});
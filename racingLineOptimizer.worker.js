@@ -0,0 +1,10 @@
+// Runs optimizeRacingLine off the main thread. The app posts { track, setup, options } and receives
+// { type: 'progress', ... } updates followed by { type: 'done', ... }; cancelling terminates the worker.
+import { optimizeRacingLine } from './racingLineCore';
+
+onmessage = (e) => {
+  const { track, setup, options } = e.data;
+  let last = 0;
+  const result = optimizeRacingLine(track, setup, { ...options, onProgress: p => { const now = Date.now(); if(now - last > 100){ last = now; postMessage({ type: 'progress', ...p }); } } });
+  postMessage({ type: 'done', ...result });
+};
@@ -0,0 +1,10 @@
+// Runs a setup sweep and the sensitivities off the main thread. The app posts { track, line, setup, sweep, params, options }
+// and receives { type: 'progress', progress } updates followed by { type: 'done', result, sensitivities }.
+import { sweepSetup, setupSensitivities } from './racingLineCore';
+
+onmessage = (e) => {
+  const { track, line, setup, sweep, params, options } = e.data;
+  const result = sweepSetup(track, line, setup, { ...sweep, ...options, onProgress: p => postMessage({ type: 'progress', progress: 0.8*p }) });
+  const sensitivities = setupSensitivities(track, line, setup, params, { ...options, onProgress: p => postMessage({ type: 'progress', progress: 0.8 + 0.2*p }) });
+  postMessage({ type: 'done', result, sensitivities });
+};
@@ -0,0 +1,75 @@
+// Logger telemetry: parses AiM/Alfano-style CSV exports into laps of cumulative distance, time and speed.
+// Pure functions over the file text; the app aligns the laps with the simulated racing line for the comparison charts.
+
+function parseDelimited(text){
+  // split lines into cells; handles quoted fields and picks ',', ';' or tab from the busiest line
+  const lines = text.split(/\r?\n/);
+  const sample = lines.slice(0,60).join('\n');
+  const delim = [',',';','\t'].reduce((best,d)=> sample.split(d).length > sample.split(best).length ? d : best, ',');
+  return lines.map(line=>{ const cells=[]; let cur='', q=false; for(let i=0;i<line.length;i++){ const c=line[i]; if(q){ if(c==='"'){ if(line[i+1]==='"'){ cur+='"'; i++; } else q=false; } else cur+=c; } else if(c==='"') q=true; else if(c===delim){ cells.push(cur.trim()); cur=''; } else cur+=c; } cells.push(cur.trim()); return cells; })
+    .map(cells=> delim===';' ? cells.map(c=> /^-?\d+,\d+$/.test(c) ? c.replace(',','.') : c) : cells); // decimal comma
+}
+
+// lapLength (m, optional): the simulated lap, used to cut a continuous session that has no lap or beacon column
+export function parseTelemetryCSV(text, name, { lapLength=null } = {}){
+  // AiM/Alfano-style export: optional metadata block, a header row, optional units row, then samples
+  const rows = parseDelimited(text);
+  const isNum = c => c!=='' && !isNaN(Number(c));
+  const h = rows.findIndex(r=> r.length>=2 && r.some(c=>/speed|velocity/i.test(c)) && r.some(c=>/^time|dist|^lat/i.test(c)));
+  if(h<0) throw new Error('No header row with a speed column found');
+  const header = rows[h];
+  const units = rows[h+1] && rows[h+1].some(c=>c!=='') && !rows[h+1].some(isNum) ? rows[h+1] : null;
+  const col = re => header.findIndex(c=>re.test(c));
+  const cols = { time: col(/^(time|elapsed)/i), dist: col(/dist/i), speed: col(/speed|velocity/i), lat: col(/^(gps[ _]?)?lat(itude)?\b(?!.*acc)/i), lon: col(/^(gps[ _]?)?(lon|lng)(gitude)?\b/i), lap: col(/^lap\b|lap ?(nr|no|number)/i), beacon: col(/beacon|marker/i) };
+  const unitOf = i => ((units && units[i]) || (header[i].match(/[[(]([^\])]+)[\])]/)||[])[1] || '').toLowerCase();
+  const speedScale = /km\/?h|kph/.test(unitOf(cols.speed)) ? 1/3.6 : /mph/.test(unitOf(cols.speed)) ? 0.44704 : 1;
+  const distScale = cols.dist>=0 && /^km/.test(unitOf(cols.dist)) ? 1000 : 1;
+  const timeScale = cols.time>=0 && /^ms/.test(unitOf(cols.time)) ? 0.001 : 1;
+
+  const samples = [];
+  for(const r of rows.slice(units ? h+2 : h+1)){
+    if(!isNum(r[cols.speed])) continue;
+    samples.push({
+      t: cols.time>=0 && isNum(r[cols.time]) ? Number(r[cols.time])*timeScale : null,
+      d: cols.dist>=0 && isNum(r[cols.dist]) ? Number(r[cols.dist])*distScale : null,
+      v: Number(r[cols.speed])*speedScale,
+      lat: cols.lat>=0 && isNum(r[cols.lat]) ? Number(r[cols.lat]) : null, lon: cols.lon>=0 && isNum(r[cols.lon]) ? Number(r[cols.lon]) : null,
+      lap: cols.lap>=0 ? r[cols.lap] : null,
+      beacon: cols.beacon>=0 && (isNum(r[cols.beacon]) ? Number(r[cols.beacon])!==0 : r[cols.beacon]!=='') // the start/finish beacon fired on this sample
+    });
+  }
+  if(samples.length<10) throw new Error('Too few samples');
+
+  // split into laps by lap column, beacon markers, or wherever the logger time/distance resets
+  let groups = []; let cur = [];
+  for(const s of samples){ const prev = cur[cur.length-1]; if(prev && (s.lap!==prev.lap || s.beacon || (s.t!==null && prev.t!==null && s.t<prev.t) || (s.d!==null && prev.d!==null && s.d<prev.d))){ groups.push(cur); cur=[]; } cur.push(s); }
+  groups.push(cur);
+  if(lapLength>0 && cols.lap<0 && cols.beacon<0) groups = groups.flatMap(g=> splitByLength(g, lapLength));
+  return groups.filter(g=>g.length>=10).map((g,k)=> telemetryLap(g, groups.length>1 ? `${name} #${g[0].lap!==null ? g[0].lap : k+1}` : name));
+}
+
+// Cuts a run that covers more than one and a half laps into lapLength pieces; a tail under half a lap (in/out lap) is dropped.
+function splitByLength(samples, lapLength){
+  const { dist } = telemetryLap(samples, '');
+  if(dist[dist.length-1] <= 1.5*lapLength) return [samples];
+  const out = []; let from = 0;
+  for(let i=1;i<samples.length;i++) if(dist[i]-dist[from] >= lapLength){ out.push(samples.slice(from, i)); from = i; }
+  if(dist[dist.length-1]-dist[from] >= 0.5*lapLength) out.push(samples.slice(from));
+  return out;
+}
+
+function telemetryLap(samples, name){
+  // cumulative distance/time from zero; fills whichever channel the logger did not record
+  const n = samples.length; const d = new Array(n).fill(0), t = new Array(n).fill(0), v = samples.map(s=>s.v);
+  const R = 6371000, rad = Math.PI/180, hasFix = s => s.lat!==null && s.lon!==null; // samples without a GPS fix fall back to speed x time
+  for(let i=1;i<n;i++){
+    const a = samples[i-1], b = samples[i];
+    if(a.d!==null && b.d!==null) d[i] = b.d - samples[0].d;
+    else if(hasFix(a) && hasFix(b)){ const x = (b.lon-a.lon)*rad*Math.cos((a.lat+b.lat)/2*rad), y = (b.lat-a.lat)*rad; d[i] = d[i-1] + R*Math.hypot(x,y); }
+    else if(a.t!==null && b.t!==null) d[i] = d[i-1] + (b.t-a.t)*(a.v+b.v)/2;
+    else d[i] = d[i-1];
+    if(a.t!==null && b.t!==null) t[i] = b.t - samples[0].t;
+    else t[i] = t[i-1] + 2*(d[i]-d[i-1])/Math.max(0.2, a.v+b.v);
+  }
+  return { name, dist: d, speed: v, cumTime: t, length: d[n-1], time: t[n-1], visible: true };
+}
@@ -0,0 +1,56 @@
+import { parseTelemetryCSV } from './telemetry';
+
+const csv = (header, rows) => [header.join(','), ...rows.map(r=> r.join(','))].join('\n');
+const range = n => Array.from({length: n}, (_,i)=> i);
+
+describe('telemetry import', ()=>{
+  test('reads units and fills distance from GPS, treating blank cells as no fix', ()=>{
+    // heading north at 0.0001 deg/s (about 11.12 m/s); rows 8-11 have no fix
+    const step = 6371000*0.0001*Math.PI/180;
+    const rows = range(20).map(i=> [i, (step*3.6).toFixed(4), i>=8 && i<12 ? '' : (45 + 0.0001*i).toFixed(6), i>=8 && i<12 ? '' : '10.000000']);
+    const [lap] = parseTelemetryCSV(csv(['Time','Speed','Latitude','Longitude'], [['s','km/h','deg','deg'], ...rows]), 'session');
+    expect(lap.name).toBe('session');
+    expect(lap.time).toBe(19);
+    expect(lap.speed[0]).toBeCloseTo(step, 3);
+    expect(lap.length).toBeCloseTo(19*step, 0);
+    for(let i=1;i<lap.dist.length;i++) expect(lap.dist[i]).toBeGreaterThan(lap.dist[i-1]);
+  });
+
+  test('splits laps on the lap column', ()=>{
+    const rows = range(30).map(i=> [i*0.5, 20, i*10, i<12 ? 1 : 2]);
+    const laps = parseTelemetryCSV(csv(['Time','Speed','Distance','Lap'], rows), 'log');
+    expect(laps.map(l=>l.name)).toEqual(['log #1', 'log #2']);
+    expect(laps[0].dist).toHaveLength(12);
+    expect(laps[1].length).toBe(170);
+    expect(laps[1].time).toBe(8.5);
+  });
+
+  test('splits laps where the logger time resets', ()=>{
+    const rows = range(25).map(i=> [(i%12)*0.1, 36]);
+    const laps = parseTelemetryCSV(csv(['Time','Speed (km/h)'], rows), 'log');
+    expect(laps).toHaveLength(2); // the one-sample tail after the second reset is dropped
+    expect(laps[0].time).toBeCloseTo(1.1, 9);
+    expect(laps[0].length).toBeCloseTo(11, 9);
+  });
+
+  test('splits laps on beacon markers', ()=>{
+    const rows = range(40).map(i=> [i*0.1, 72, i*2, i===15 || i===30 ? 1 : 0]);
+    const laps = parseTelemetryCSV(csv(['Time','Speed (km/h)','Distance','Beacon Markers'], rows), 'log');
+    expect(laps.map(l=>l.dist.length)).toEqual([15, 15, 10]);
+    expect(laps[1].length).toBe(28);
+  });
+
+  test('cuts a continuous session at the simulated lap length', ()=>{
+    const rows = range(130).map(i=> [i, 10, i*10]); // 1290 m at 10 m/s
+    const text = csv(['Time','Speed','Distance'], rows);
+    expect(parseTelemetryCSV(text, 'session')).toHaveLength(1);
+    const laps = parseTelemetryCSV(text, 'session', { lapLength: 400 });
+    expect(laps.map(l=>l.name)).toEqual(['session #1', 'session #2', 'session #3']); // the 90 m tail is dropped
+    for(const l of laps){ expect(l.length).toBe(390); expect(l.time).toBe(39); }
+    expect(parseTelemetryCSV(text, 'session', { lapLength: 1000 })).toHaveLength(1); // under 1.5 laps: left whole
+  });
+
+  test('rejects files without a speed column', ()=>{
+    expect(()=> parseTelemetryCSV('Time,RPM\n0,1000\n', 'x')).toThrow('No header row with a speed column found');
+  });
+});